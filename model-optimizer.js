@@ -3,6 +3,7 @@ import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js'
 import { DRACOLoader } from 'three/examples/jsm/loaders/DRACOLoader.js'
 import { GLTFExporter } from 'three/examples/jsm/exporters/GLTFExporter.js'
 import { SimplifyModifier } from 'three/examples/jsm/modifiers/SimplifyModifier.js'
+import { DEFAULT_ASSET_CONFIG } from './src/AssetConfig.js'
 import { readFileSync, writeFileSync } from 'fs'
 import { fileURLToPath } from 'url'
 import { dirname, resolve } from 'path'
@@ -18,7 +19,8 @@ class ModelOptimizer {
 
     setupLoaders() {
         const dracoLoader = new DRACOLoader()
-        dracoLoader.setDecoderPath('./public/draco/')
+        // Node 中从 public 目录读取，与浏览器使用同一个解码器目录
+        dracoLoader.setDecoderPath(`./public/${DEFAULT_ASSET_CONFIG.decoders.draco}`)
         
         this.loader = new GLTFLoader()
         this.loader.setDRACOLoader(dracoLoader)
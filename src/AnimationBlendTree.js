@@ -0,0 +1,260 @@
+import * as THREE from 'three'
+
+/**
+ * 动画混合树 - 管理 AnimationMixer 中各动作的权重
+ *
+ * 功能：
+ * 1. 命名状态：一个状态包含一个或多个片段（如 'all' 同时播放所有圆环片段）
+ * 2. 基础层：状态之间交叉淡入淡出，权重始终归一化为 1，未被覆盖的部分不会混入静止姿态
+ * 3. 叠加层：additive 状态使用 makeClipAdditive 生成的片段叠加在基础层之上，权重独立控制
+ * 4. 手动时间：动作不自动推进，每帧由调用方传入时间（内部时钟或共享时间轴）
+ *
+ * 每个片段添加时会自动创建同名的单片段状态。
+ */
+export class AnimationBlendTree {
+    /**
+     * @param {THREE.AnimationMixer} mixer
+     * @param {Object} options
+     * @param {number} options.defaultDuration 默认淡入淡出时长（秒）
+     */
+    constructor(mixer, options = {}) {
+        this.mixer = mixer
+        this.defaultDuration = options.defaultDuration !== undefined ? options.defaultDuration : 0.5
+
+        this.clips = new Map()   // 片段名 -> { clip, duration, action, additiveAction }
+        this.states = new Map()  // 状态名 -> { name, clips: Map(片段名 -> 权重), additive, weight, fromWeight, targetWeight, elapsed, fadeDuration }
+    }
+
+    /**
+     * 添加片段并创建同名状态
+     * @param {THREE.AnimationClip} clip
+     * @returns {{action: THREE.AnimationAction, duration: number, name: string}}
+     */
+    addClip(clip) {
+        const action = this.createAction(clip)
+
+        this.clips.set(clip.name, {
+            clip: clip,
+            duration: clip.duration,
+            action: action,
+            additiveAction: null
+        })
+
+        if (!this.states.has(clip.name)) {
+            this.addState(clip.name, { clips: [clip.name] })
+        }
+
+        return { action: action, duration: clip.duration, name: clip.name }
+    }
+
+    createAction(clip) {
+        const action = this.mixer.clipAction(clip)
+
+        // Disable all automatic looping and time management
+        action.setLoop(THREE.LoopOnce, 1)
+        action.clampWhenFinished = false
+        action.setEffectiveTimeScale(0)
+        action.setEffectiveWeight(0)
+        action.enabled = true
+        action.play()
+
+        return action
+    }
+
+    /**
+     * 叠加层使用的片段：以第 0 帧为参考姿态的差值片段（首次使用时生成）
+     */
+    getAdditiveAction(clipName) {
+        const entry = this.clips.get(clipName)
+        if (!entry.additiveAction) {
+            const additiveClip = THREE.AnimationUtils.makeClipAdditive(entry.clip.clone())
+            additiveClip.name = `${clipName}#additive`
+            entry.additiveAction = this.createAction(additiveClip)
+        }
+        return entry.additiveAction
+    }
+
+    /**
+     * 添加或替换状态
+     * @param {string} name 状态名
+     * @param {Object} config
+     * @param {string[]|Object<string, number>} config.clips 片段名列表，或片段名 -> 权重
+     * @param {boolean} config.additive 是否为叠加层
+     * @param {number} config.weight 初始权重（叠加层默认 0；基础层由 crossFadeTo 决定）
+     */
+    addState(name, config = {}) {
+        const clipWeights = Array.isArray(config.clips)
+            ? config.clips.map((clipName) => [clipName, 1.0])
+            : Object.entries(config.clips || {})
+
+        const clips = new Map(clipWeights.filter(([clipName]) => {
+            if (!this.clips.has(clipName)) {
+                console.warn(`⚠️ 混合状态 ${name}: 未找到动画 ${clipName}`)
+                return false
+            }
+            return true
+        }))
+
+        const weight = config.weight || 0
+        const state = {
+            name: name,
+            clips: clips,
+            additive: config.additive || false,
+            weight: weight,
+            fromWeight: weight,
+            targetWeight: weight,
+            elapsed: 0,
+            fadeDuration: 0
+        }
+
+        if (state.additive) {
+            clips.forEach((clipWeight, clipName) => this.getAdditiveAction(clipName))
+        }
+
+        this.states.set(name, state)
+        return state
+    }
+
+    hasState(name) {
+        return this.states.has(name)
+    }
+
+    getState(name) {
+        return this.states.get(name) || null
+    }
+
+    getBaseStates() {
+        return Array.from(this.states.values()).filter((state) => !state.additive)
+    }
+
+    /**
+     * 基础层交叉淡入到单个状态
+     * @param {string} name 状态名
+     * @param {number} duration 淡入淡出时长（秒）
+     */
+    crossFadeTo(name, duration = this.defaultDuration) {
+        return this.blendTo({ [name]: 1.0 }, duration)
+    }
+
+    /**
+     * 基础层淡入到一组状态权重（自动归一化）
+     * @param {Object<string, number>} weights 状态名 -> 权重
+     * @param {number} duration 淡入淡出时长（秒）
+     */
+    blendTo(weights, duration = this.defaultDuration) {
+        const unknown = Object.keys(weights).filter((name) => {
+            const state = this.states.get(name)
+            return !state || state.additive
+        })
+        if (unknown.length > 0) {
+            console.warn(`⚠️ 未知的基础层混合状态: ${unknown.join(', ')}`)
+            return false
+        }
+
+        const total = Object.values(weights).reduce((sum, weight) => sum + Math.max(weight, 0), 0)
+        if (total <= 0) return false
+
+        this.getBaseStates().forEach((state) => {
+            this.startFade(state, Math.max(weights[state.name] || 0, 0) / total, duration)
+        })
+        return true
+    }
+
+    /**
+     * 叠加层权重淡入淡出（不参与归一化）
+     * @param {string} name 叠加状态名
+     * @param {number} weight 目标权重
+     * @param {number} duration 淡入淡出时长（秒）
+     */
+    setLayerWeight(name, weight, duration = this.defaultDuration) {
+        const state = this.states.get(name)
+        if (!state || !state.additive) {
+            console.warn(`⚠️ 未知的叠加层: ${name}`)
+            return false
+        }
+
+        this.startFade(state, Math.max(weight, 0), duration)
+        return true
+    }
+
+    startFade(state, targetWeight, duration) {
+        state.fromWeight = state.weight
+        state.targetWeight = targetWeight
+        state.elapsed = 0
+        state.fadeDuration = Math.max(duration, 0)
+
+        if (state.fadeDuration === 0) {
+            state.weight = targetWeight
+        }
+    }
+
+    /**
+     * 各状态当前的目标权重（用于重建动作后恢复混合）
+     * @returns {Object<string, number>}
+     */
+    getTargetWeights() {
+        const weights = {}
+        this.states.forEach((state) => {
+            weights[state.name] = state.targetWeight
+        })
+        return weights
+    }
+
+    getStateWeights() {
+        const weights = {}
+        this.states.forEach((state) => {
+            weights[state.name] = state.weight
+        })
+        return weights
+    }
+
+    /**
+     * 推进淡入淡出并将权重与时间写入动作（调用方随后执行 mixer.update(0)）
+     * @param {number} deltaTime 淡入淡出推进的时间（秒）
+     * @param {number} time 动画时间（秒），超过片段时长时停在最后一帧
+     */
+    update(deltaTime, time) {
+        this.states.forEach((state) => {
+            if (state.weight === state.targetWeight) return
+
+            state.elapsed += deltaTime
+            const t = state.fadeDuration > 0 ? Math.min(state.elapsed / state.fadeDuration, 1.0) : 1.0
+            state.weight = THREE.MathUtils.lerp(state.fromWeight, state.targetWeight, t)
+        })
+
+        // Base layer weights always sum to 1, otherwise the mixer fills the rest with the rest pose
+        const baseStates = this.getBaseStates()
+        const baseTotal = baseStates.reduce((sum, state) => sum + state.weight, 0)
+        const normalize = baseTotal > 0 ? 1.0 / baseTotal : 0
+
+        const baseWeights = new Map()
+        const additiveWeights = new Map()
+
+        this.states.forEach((state) => {
+            const weights = state.additive ? additiveWeights : baseWeights
+            const stateWeight = state.additive ? state.weight : state.weight * normalize
+
+            state.clips.forEach((clipWeight, clipName) => {
+                weights.set(clipName, (weights.get(clipName) || 0) + stateWeight * clipWeight)
+            })
+        })
+
+        this.clips.forEach((entry, clipName) => {
+            const clipTime = Math.min(time, entry.duration)
+
+            entry.action.setEffectiveWeight(baseWeights.get(clipName) || 0)
+            entry.action.time = clipTime
+
+            if (entry.additiveAction) {
+                entry.additiveAction.setEffectiveWeight(additiveWeights.get(clipName) || 0)
+                entry.additiveAction.time = clipTime
+            }
+        })
+    }
+
+    dispose() {
+        this.mixer.stopAllAction()
+        this.clips.clear()
+        this.states.clear()
+    }
+}
@@ -1,6 +1,7 @@
 import * as THREE from 'three'
-import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js'
-import { DRACOLoader } from 'three/examples/jsm/loaders/DRACOLoader.js'
+import { AssetService } from './AssetService.js'
+import { KeyframeSampler } from './KeyframeSampler.js'
+import { RingRegistry } from './RingRegistry.js'
 
 /**
  * 动画轨迹提取器 - 从GLB文件中提取圆环运动数据
@@ -10,42 +11,40 @@ import { DRACOLoader } from 'three/examples/jsm/loaders/DRACOLoader.js'
  * 2. 提取圆环的位置、旋转、缩放轨迹
  * 3. 转换为可应用的动画数据格式
  * 4. 支持实时轨迹替换
+ * 5. 重定向（retarget）：按映射表把轨迹应用到另一个场景中名称不同的节点，可附加变换偏移和缩放补偿
  */
 export class AnimationTrackExtractor {
-    constructor() {
-        this.setupLoader()
+    /**
+     * @param {Object} options
+     * @param {RingRegistry} options.ringRegistry 圆环注册表，默认使用 DEFAULT_RING_CONFIG
+     * @param {AssetService} options.assetService 共享的资源服务（见 AssetService.js），省略时单独创建
+     * @param {AssetConfig|Object} options.assets 未传入 assetService 时使用的资源配置（见 AssetConfig.js）
+     */
+    constructor(options = {}) {
+        this.assetService = AssetService.from(options.assetService, { assets: options.assets })
+        this.assets = this.assetService.assets
         this.extractedTracks = new Map() // 存储提取的轨迹数据
         this.ringMappings = new Map()    // 圆环名称映射
+        this.retargetMap = []            // 重定向映射表（见 setRetargetMap）
         
-        // 定义圆环标识符映射
-        this.ringIdentifiers = {
-            'Scenes_B_00100': 'mainRing',      // 主环
-            'Scenes_B_0023': 'middleRing',     // 中环  
-            'Scenes_B_00100001': 'smallRing'   // 小环
-        }
-    }
-
-    setupLoader() {
-        const dracoLoader = new DRACOLoader()
-        dracoLoader.setDecoderPath('/draco/')
-        
-        this.loader = new GLTFLoader()
-        this.loader.setDRACOLoader(dracoLoader)
+        // 圆环识别规则（见 RingRegistry.js）
+        this.ringRegistry = options.ringRegistry || new RingRegistry()
     }
 
     /**
      * 从GLB文件提取动画轨迹
-     * @param {string} filePath GLB文件路径
+     * @param {string} filePath GLB文件路径，或模型清单中的名称
      * @param {string} ringType 圆环类型标识
      * @returns {Promise<Object>} 提取的轨迹数据
      */
     async extractTracksFromFile(filePath, ringType) {
+        filePath = this.assets.getModelUrl(filePath)
+
         try {
             console.log(`🔄 正在提取 ${ringType} 的动画轨迹: ${filePath}`)
             
-            const gltf = await new Promise((resolve, reject) => {
-                this.loader.load(filePath, resolve, undefined, reject)
-            })
+            // 只读取场景与动画，直接使用缓存中的 GLTF
+            const gltf = await this.assetService.loadGLTF(filePath)
 
             const trackData = {
                 ringType,
@@ -57,7 +56,7 @@ export class AnimationTrackExtractor {
 
             // 提取静态变换信息（作为初始位置）
             gltf.scene.traverse((child) => {
-                if (this.isRingObject(child.name)) {
+                if (this.ringRegistry.match(child)) {
                     trackData.staticTransform = {
                         position: child.position.clone(),
                         rotation: child.rotation.clone(),
@@ -71,7 +70,7 @@ export class AnimationTrackExtractor {
             // 提取动画轨迹
             if (gltf.animations && gltf.animations.length > 0) {
                 gltf.animations.forEach((animation) => {
-                    const animData = this.processAnimation(animation, ringType)
+                    const animData = this.processAnimation(animation, ringType, gltf.scene)
                     if (animData) {
                         trackData.animations.push(animData)
                     }
@@ -96,39 +95,56 @@ export class AnimationTrackExtractor {
 
     /**
      * 处理单个动画，提取关键帧数据
+     * 圆环节点自身的轨迹放在 tracks 中（驱动整个圆环），圆环子节点（子网格、枢轴空节点）的轨迹放在 childTracks 中
+     * @param {THREE.Object3D} root 动画所在的场景，用于查找轨迹目标节点所属的圆环
      */
-    processAnimation(animation, ringType) {
+    processAnimation(animation, ringType, root = null) {
         const animData = {
             name: animation.name,
             duration: animation.duration,
+            sourceNode: null,  // 圆环节点的名称（每条轨迹的节点见 track.sourceNode）
             tracks: {
                 position: null,
                 rotation: null,
                 quaternion: null,
                 scale: null
-            }
+            },
+            childTracks: []    // [{ sourceNode, property, times, values, ... }]
         }
 
         animation.tracks.forEach(track => {
             const trackInfo = this.parseTrackName(track.name)
-            if (!trackInfo || !this.isRingTrack(trackInfo.objectName)) {
+            if (!trackInfo || !animData.tracks.hasOwnProperty(trackInfo.property)) {
+                return
+            }
+
+            const node = root ? THREE.PropertyBinding.findNode(root, trackInfo.objectName) : null
+            if (!this.isRingTrack(trackInfo.objectName, node)) {
                 return
             }
 
             const trackType = trackInfo.property
-            if (animData.tracks.hasOwnProperty(trackType)) {
-                animData.tracks[trackType] = {
-                    times: Array.from(track.times),
-                    values: Array.from(track.values),
-                    interpolation: track.getInterpolation(),
-                    valueSize: track.getValueSize(),
-                    type: track.constructor.name
-                }
+            const data = {
+                times: Array.from(track.times),
+                values: Array.from(track.values),
+                interpolation: KeyframeSampler.getInterpolation(track),  // 'LINEAR' | 'STEP' | 'CUBICSPLINE'
+                valueSize: KeyframeSampler.getValueSize(track),
+                type: track.constructor.name,
+                sourceNode: trackInfo.objectName
+            }
+
+            // 找不到节点时按名称判断（旧行为）；否则只有圆环节点本身的轨迹驱动整个圆环
+            const isRingNode = node ? this.ringRegistry.match(node) !== null : true
+            if (isRingNode) {
+                animData.sourceNode = animData.sourceNode || trackInfo.objectName
+                animData.tracks[trackType] = data
+            } else {
+                animData.childTracks.push({ ...data, property: trackType })
             }
         })
 
         // 只返回包含有效轨迹的动画
-        const hasValidTracks = Object.values(animData.tracks).some(track => track !== null)
+        const hasValidTracks = Object.values(animData.tracks).some(track => track !== null) || animData.childTracks.length > 0
         return hasValidTracks ? animData : null
     }
 
@@ -146,39 +162,34 @@ export class AnimationTrackExtractor {
     }
 
     /**
-     * 判断是否为圆环对象
+     * 判断是否属于圆环：节点自身或任一祖先匹配圆环注册表（只有名称时按名称匹配）
+     * @param {THREE.Object3D|string} object
      */
-    isRingObject(name) {
-        return Object.keys(this.ringIdentifiers).some(identifier => 
-            name.includes(identifier)
-        )
+    isRingObject(object) {
+        if (typeof object === 'string') {
+            return this.ringRegistry.match(object) !== null
+        }
+        return this.ringRegistry.getRingForObject(object) !== null
     }
 
     /**
-     * 判断是否为圆环相关的轨迹
+     * 判断是否为圆环相关的轨迹（包括圆环子节点的轨迹）
+     * @param {string} objectName 轨迹中的节点名称
+     * @param {THREE.Object3D|null} node 轨迹的目标节点，找不到时按名称判断
      */
-    isRingTrack(objectName) {
-        return this.isRingObject(objectName)
+    isRingTrack(objectName, node = null) {
+        return this.isRingObject(node || objectName)
     }
 
     /**
      * 批量提取所有圆环动画轨迹
      */
     async extractAllRingTracks() {
-        const extractionTasks = [
-            {
-                filePath: '/Scenes_B_00100-transformed.glb',
-                ringType: 'mainRing'
-            },
-            {
-                filePath: '/Scenes_B_0023-transformed.glb', 
-                ringType: 'middleRing'
-            },
-            {
-                filePath: '/Scenes_B_00100.001-transformed.glb',
-                ringType: 'smallRing'
-            }
-        ]
+        // 圆环模型在资源清单中以圆环 id 命名（见 AssetConfig.js）
+        const extractionTasks = ['mainRing', 'middleRing', 'smallRing'].map((ringType) => ({
+            filePath: ringType,
+            ringType: ringType
+        }))
 
         console.log('🚀 开始批量提取圆环动画轨迹...')
         
@@ -221,9 +232,7 @@ export class AnimationTrackExtractor {
         const tracks = []
 
         // 转换每个轨迹为Three.js KeyframeTrack
-        Object.entries(animation.tracks).forEach(([property, trackInfo]) => {
-            if (!trackInfo) return
-
+        const addTrack = (property, trackInfo, defaultNodeName) => {
             let TrackClass
             switch (property) {
                 case 'position':
@@ -242,16 +251,28 @@ export class AnimationTrackExtractor {
                     return
             }
 
-            // 创建目标名称（适配现有粒子系统）
-            const targetName = `${ringType}.${property}`
+            // 创建目标名称：有重定向时指向目标节点，否则使用圆环类型（适配现有粒子系统）或子节点名称
+            const retarget = this.findRetarget(trackInfo.sourceNode || animation.sourceNode)
+            const targetName = `${retarget ? this.getRetargetNodeName(retarget) : defaultNodeName}.${property}`
+            const values = retarget ? this.retargetValues(trackInfo, property, retarget) : trackInfo.values
             
             const track = new TrackClass(
                 targetName,
                 trackInfo.times,
-                trackInfo.values
+                values
             )
 
+            // 保留原始插值方式（STEP / CUBICSPLINE）
+            KeyframeSampler.applyInterpolation(track, trackInfo.interpolation)
+
             tracks.push(track)
+        }
+
+        Object.entries(animation.tracks).forEach(([property, trackInfo]) => {
+            if (trackInfo) addTrack(property, trackInfo, ringType)
+        })
+        ;(animation.childTracks || []).forEach((trackInfo) => {
+            addTrack(trackInfo.property, trackInfo, THREE.PropertyBinding.sanitizeNodeName(trackInfo.sourceNode))
         })
 
         if (tracks.length === 0) return null
@@ -263,6 +284,166 @@ export class AnimationTrackExtractor {
         )
     }
 
+    /**
+     * 设置重定向映射表
+     * @param {Array<Object>} entries 映射项：
+     *   source  源节点名称（完全匹配，'.' 等保留字符会按 three.js 规则清理）或正则表达式
+     *   target  目标节点名称或目标 Object3D
+     *   offset  附加变换 { position: Vector3|number[], quaternion: Quaternion|number[], scale: Vector3|number[] }
+     *           作为目标节点的父级变换叠加到轨迹上
+     *   scaleCompensation  位移缩放系数（两次导出单位或层级缩放不同时使用，如 0.01）
+     */
+    setRetargetMap(entries) {
+        this.retargetMap = entries.map((entry) => {
+            const offset = entry.offset || {}
+            return {
+                source: typeof entry.source === 'string'
+                    ? THREE.PropertyBinding.sanitizeNodeName(entry.source)
+                    : entry.source,
+                target: entry.target,
+                offset: {
+                    position: this.toVector3(offset.position, 0),
+                    quaternion: offset.quaternion
+                        ? new THREE.Quaternion().fromArray(Array.isArray(offset.quaternion) ? offset.quaternion : offset.quaternion.toArray())
+                        : new THREE.Quaternion(),
+                    scale: this.toVector3(offset.scale, 1)
+                },
+                scaleCompensation: entry.scaleCompensation !== undefined ? entry.scaleCompensation : 1
+            }
+        })
+
+        console.log(`🔀 重定向映射表已设置: ${this.retargetMap.length} 项`)
+    }
+
+    toVector3(value, fallback) {
+        if (!value) return new THREE.Vector3(fallback, fallback, fallback)
+        if (typeof value === 'number') return new THREE.Vector3(value, value, value)
+        return Array.isArray(value) ? new THREE.Vector3().fromArray(value) : value.clone()
+    }
+
+    /**
+     * 查找源节点对应的重定向项
+     * @param {string} sourceNode 轨迹中的节点名称
+     */
+    findRetarget(sourceNode) {
+        if (!sourceNode) return null
+
+        return this.retargetMap.find((entry) =>
+            entry.source instanceof RegExp ? entry.source.test(sourceNode) : entry.source === sourceNode
+        ) || null
+    }
+
+    /**
+     * 轨迹名称中使用的目标节点名称（Object3D 使用 uuid，避免重名或名称中含保留字符）
+     */
+    getRetargetNodeName(retarget) {
+        return retarget.target.isObject3D
+            ? retarget.target.uuid
+            : THREE.PropertyBinding.sanitizeNodeName(retarget.target)
+    }
+
+    /**
+     * 将偏移和缩放补偿应用到轨迹数值
+     * CUBICSPLINE 的切线随值一起旋转/缩放，但不叠加位移
+     * @returns {number[]} 新的数值数组
+     */
+    retargetValues(trackInfo, property, retarget) {
+        const { offset, scaleCompensation } = retarget
+        const values = trackInfo.values.slice()
+        const valueSize = trackInfo.valueSize
+        const parts = trackInfo.interpolation === 'CUBICSPLINE' ? 3 : 1
+        const keyCount = trackInfo.times.length
+
+        const vector = new THREE.Vector3()
+        const quaternion = new THREE.Quaternion()
+        const euler = new THREE.Euler()
+
+        for (let key = 0; key < keyCount; key++) {
+            for (let part = 0; part < parts; part++) {
+                const index = (key * parts + part) * valueSize
+                const isValue = parts === 1 || part === 1
+
+                switch (property) {
+                    case 'position':
+                        vector.fromArray(values, index)
+                            .multiplyScalar(scaleCompensation)
+                            .multiply(offset.scale)
+                            .applyQuaternion(offset.quaternion)
+                        if (isValue) vector.add(offset.position)
+                        vector.toArray(values, index)
+                        break
+                    case 'quaternion':
+                        quaternion.fromArray(values, index).premultiply(offset.quaternion)
+                        quaternion.toArray(values, index)
+                        break
+                    case 'rotation':
+                        // 欧拉角不是线性量，只转换关键帧值
+                        if (!isValue) break
+                        quaternion.setFromEuler(euler.fromArray(values.slice(index, index + 3))).premultiply(offset.quaternion)
+                        euler.setFromQuaternion(quaternion)
+                        values[index] = euler.x
+                        values[index + 1] = euler.y
+                        values[index + 2] = euler.z
+                        break
+                    case 'scale':
+                        vector.fromArray(values, index).multiply(offset.scale).toArray(values, index)
+                        break
+                }
+            }
+        }
+
+        return values
+    }
+
+    /**
+     * 获取重定向后的轨迹数据，可直接传给 RingAnimationMapper.applyCustomTracks
+     * 有重定向项的圆环会带上 targetNode（目标节点名称或对象）
+     * @returns {Map<string, Object>} ringType -> 轨迹数据
+     */
+    getRetargetedTracks() {
+        const result = new Map()
+
+        this.extractedTracks.forEach((trackData, ringType) => {
+            const animations = trackData.animations.map((animation) => {
+                let targetNode = null
+                const tracks = {}
+
+                Object.entries(animation.tracks).forEach(([property, trackInfo]) => {
+                    const retarget = trackInfo ? this.findRetarget(trackInfo.sourceNode || animation.sourceNode) : null
+                    if (!retarget) {
+                        tracks[property] = trackInfo
+                        return
+                    }
+
+                    tracks[property] = { ...trackInfo, values: this.retargetValues(trackInfo, property, retarget) }
+                    if (targetNode && targetNode !== retarget.target) {
+                        console.warn(`⚠️ ${ringType} 的动画 ${animation.name} 重定向到多个节点，圆环映射器只使用 ${targetNode.name || targetNode}`)
+                    }
+                    targetNode = targetNode || retarget.target
+                })
+
+                // 子节点轨迹各自重定向，由圆环映射器按 targetNode 或名称查找节点
+                const childTracks = (animation.childTracks || []).map((trackInfo) => {
+                    const retarget = this.findRetarget(trackInfo.sourceNode)
+                    return retarget
+                        ? { ...trackInfo, values: this.retargetValues(trackInfo, trackInfo.property, retarget), targetNode: retarget.target }
+                        : trackInfo
+                })
+
+                return targetNode ? { ...animation, tracks, childTracks, targetNode } : { ...animation, childTracks }
+            })
+
+            const retargeted = animations.find((animation) => animation.targetNode)
+            result.set(ringType, {
+                ...trackData,
+                animations,
+                targetNode: retargeted ? retargeted.targetNode : null
+            })
+        })
+
+        return result
+    }
+
     /**
      * 创建所有圆环的动画剪辑
      */
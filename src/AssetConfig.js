@@ -0,0 +1,207 @@
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js'
+import { DRACOLoader } from 'three/examples/jsm/loaders/DRACOLoader.js'
+import { KTX2Loader } from 'three/examples/jsm/loaders/KTX2Loader.js'
+import { MeshoptDecoder } from 'three/examples/jsm/libs/meshopt_decoder.module.js'
+
+// Vite 的 base 配置（部署在子路径时不为 '/'）；在 Node 脚本中 import.meta.env 不存在
+const BASE_URL = (import.meta.env && import.meta.env.BASE_URL) || '/'
+
+/**
+ * 默认资源配置
+ *
+ *   baseUrl   所有相对路径的前缀，可以是子路径（'/hero/'）或 CDN（'https://cdn.example.com/hero/'）
+ *   models    模型清单：名称 -> 相对 baseUrl 的路径（圆环模型以 RingRegistry 的圆环 id 命名）
+ *   decoders  解码器配置，目录相对 baseUrl，null / false 表示禁用
+ *             draco    DRACO 解码器目录（draco_decoder.js / draco_wasm_wrapper.js / draco_decoder.wasm）
+ *             meshopt  true 使用 three 自带的 Meshopt 解码器（EXT_meshopt_compression，WASM 已内联，无需额外文件）
+ *             ktx2     Basis 转码器目录（KHR_texture_basisu，basis_transcoder.js / basis_transcoder.wasm，
+ *                      复制自 three/examples/jsm/libs/basis），还需要渲染器检测压缩纹理格式（见 createKTX2Loader）
+ */
+export const DEFAULT_ASSET_CONFIG = {
+    baseUrl: BASE_URL,
+    models: {
+        hero: 'v5-moderate.glb',
+        master: 'LOST_cut2_v31-transformed.glb',
+        camera: 'cam_cut2_v3cam.glb',
+        mainRing: 'Scenes_B_00100-transformed.glb',
+        middleRing: 'Scenes_B_0023-transformed.glb',
+        smallRing: 'Scenes_B_00100.001-transformed.glb'
+    },
+    decoders: {
+        draco: 'draco/',
+        meshopt: true,
+        ktx2: 'basis/'
+    }
+}
+
+// GLTFLoader 只在解析到对应数据时才报错，且不说明如何配置；这里列出需要额外解码器的扩展
+// failsWhenUsed：GLTFLoader 在 extensionsUsed 中遇到该扩展就会报错（即使不是必需扩展）
+const DECODER_EXTENSIONS = {
+    KHR_draco_mesh_compression: {
+        isAvailable: (parser, loader) => !!loader.dracoLoader,
+        failsWhenUsed: true,
+        hint: '请配置 decoders.draco'
+    },
+    EXT_meshopt_compression: {
+        isAvailable: (parser) => !!parser.options.meshoptDecoder && parser.options.meshoptDecoder.supported !== false,
+        hint: '请启用 decoders.meshopt，且浏览器需支持 WebAssembly'
+    },
+    KHR_texture_basisu: {
+        isAvailable: (parser) => !!parser.options.ktx2Loader,
+        hint: '请配置 decoders.ktx2 并调用 setRenderer(renderer)'
+    }
+}
+
+const createExtensionsError = (problems) => new Error(`模型需要以下扩展，但当前无法解码: ${problems.join('，')}`)
+
+/**
+ * GLTFLoader 插件：模型必需的扩展缺少解码器或不受支持时，以明确的错误失败
+ *
+ * 解码器检查在插件创建时进行：GLTFLoader 创建插件之后、初始化内置扩展之前，
+ * 缺少 DRACOLoader 时内置扩展会直接抛出笼统的错误，beforeRoot 没有机会执行。
+ * 其他扩展是否受支持要等内置扩展初始化后才能判断，在 beforeRoot 中检查。
+ */
+class RequiredExtensionsPlugin {
+    constructor(parser, loader) {
+        this.parser = parser
+        this.name = 'HERO_required_extensions'
+
+        const required = parser.json.extensionsRequired || []
+        const used = parser.json.extensionsUsed || []
+        const missingDecoders = Object.entries(DECODER_EXTENSIONS)
+            .filter(([name, decoder]) => required.includes(name) || (decoder.failsWhenUsed && used.includes(name)))
+            .filter(([, decoder]) => !decoder.isAvailable(parser, loader))
+            .map(([name, decoder]) => `${name}（${decoder.hint}）`)
+
+        // GLTFLoader.load 会捕获并交给 onError
+        if (missingDecoders.length > 0) {
+            throw createExtensionsError(missingDecoders)
+        }
+    }
+
+    beforeRoot() {
+        const parser = this.parser
+        const required = parser.json.extensionsRequired || []
+
+        const problems = required
+            .filter((name) => !DECODER_EXTENSIONS[name] && !(name in parser.extensions) && !(name in parser.plugins))
+            .map((name) => `${name}（three.js GLTFLoader 不支持）`)
+
+        if (problems.length > 0) {
+            return Promise.reject(createExtensionsError(problems))
+        }
+        return null
+    }
+}
+
+/**
+ * 资源配置 - 所有加载器共享的路径解析
+ *
+ * 功能：
+ * 1. 按 baseUrl 解析相对路径，绝对 URL（https:、data:、blob:、//）保持不变
+ * 2. 按名称查找模型清单，未知名称按路径处理（兼容直接传入文件路径）
+ * 3. 创建已配置 DRACO / Meshopt / KTX2 解码器的 GLTFLoader，模型必需的扩展无法解码时给出明确的错误
+ *
+ * 以 '/' 开头的旧路径（如 '/v5-moderate.glb'）同样相对 baseUrl 解析，部署到子路径时无需修改
+ */
+export class AssetConfig {
+    /**
+     * @param {Object} config 覆盖 DEFAULT_ASSET_CONFIG 中的字段，models / decoders 按键合并
+     */
+    constructor(config = {}) {
+        const baseUrl = config.baseUrl !== undefined ? config.baseUrl : DEFAULT_ASSET_CONFIG.baseUrl
+
+        this.baseUrl = baseUrl && !baseUrl.endsWith('/') ? `${baseUrl}/` : baseUrl
+        this.models = { ...DEFAULT_ASSET_CONFIG.models, ...config.models }
+        this.decoders = { ...DEFAULT_ASSET_CONFIG.decoders, ...config.decoders }
+    }
+
+    /**
+     * 复用已有实例，或由配置对象创建
+     * @param {AssetConfig|Object} assets
+     * @returns {AssetConfig}
+     */
+    static from(assets) {
+        return assets instanceof AssetConfig ? assets : new AssetConfig(assets)
+    }
+
+    /**
+     * 将相对路径解析为完整 URL
+     * @param {string} path
+     * @returns {string}
+     */
+    resolve(path) {
+        // 绝对 URL 和已经解析过的路径保持不变
+        if (!path || /^([a-z][a-z\d+.-]*:|\/\/)/i.test(path) || (this.baseUrl && path.startsWith(this.baseUrl))) {
+            return path
+        }
+        return this.baseUrl + path.replace(/^\.?\//, '')
+    }
+
+    /**
+     * 模型 URL
+     * @param {string} nameOrPath 模型清单中的名称，或文件路径
+     * @returns {string}
+     */
+    getModelUrl(nameOrPath) {
+        const path = Object.prototype.hasOwnProperty.call(this.models, nameOrPath)
+            ? this.models[nameOrPath]
+            : nameOrPath
+        return this.resolve(path)
+    }
+
+    /**
+     * 解码器目录（以 '/' 结尾），未配置时返回 null
+     * @param {string} type 'draco' | 'ktx2'
+     * @returns {string|null}
+     */
+    getDecoderPath(type) {
+        const path = this.decoders[type]
+        if (!path) return null
+
+        const url = this.resolve(path)
+        return url.endsWith('/') ? url : `${url}/`
+    }
+
+    /**
+     * 创建使用本配置解码器的 GLTFLoader
+     * @param {DRACOLoader} dracoLoader 自定义的 DRACOLoader（如带进度的子类），默认新建
+     * @param {KTX2Loader|null} ktx2Loader 由 createKTX2Loader 创建；同一页面应只使用一个实例
+     * @returns {GLTFLoader}
+     */
+    createGLTFLoader(dracoLoader = new DRACOLoader(), ktx2Loader = null) {
+        const loader = new GLTFLoader()
+
+        const dracoPath = this.getDecoderPath('draco')
+        if (dracoPath) {
+            dracoLoader.setDecoderPath(dracoPath)
+            loader.setDRACOLoader(dracoLoader)
+        }
+
+        if (this.decoders.meshopt) {
+            loader.setMeshoptDecoder(MeshoptDecoder)
+        }
+
+        if (ktx2Loader) {
+            loader.setKTX2Loader(ktx2Loader)
+        }
+
+        loader.register((parser) => new RequiredExtensionsPlugin(parser, loader))
+
+        return loader
+    }
+
+    /**
+     * 创建 KTX2 纹理加载器（需要渲染器检测支持的压缩纹理格式）
+     * @param {THREE.WebGLRenderer} renderer
+     * @returns {KTX2Loader|null} 未配置 decoders.ktx2 或没有渲染器时返回 null
+     */
+    createKTX2Loader(renderer) {
+        const transcoderPath = this.getDecoderPath('ktx2')
+        if (!transcoderPath || !renderer) return null
+
+        return new KTX2Loader()
+            .setTranscoderPath(transcoderPath)
+            .detectSupport(renderer)
+    }
+}
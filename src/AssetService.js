@@ -0,0 +1,178 @@
+import * as SkeletonUtils from 'three/examples/jsm/utils/SkeletonUtils.js'
+import { AssetConfig } from './AssetConfig.js'
+import { ModelLoader } from './ModelLoader.js'
+
+/**
+ * 资源服务 - 各子系统共享的 GLTF 加载与缓存
+ *
+ * 功能：
+ * 1. 单一加载器：所有 GLB 共用一个 GLTFLoader / DRACOLoader（解码器只下载、编译一次）
+ * 2. 请求去重：同一 URL 的并发请求共享同一个 Promise
+ * 3. 解析缓存：按 URL 缓存 GLTF 结果，主文件和圆环文件都只解析一次
+ * 4. 生命周期：releaseDecoders 释放解码器 Worker，dispose 同时清空缓存
+ *
+ * 缓存的 GLTF 在子系统之间共享：只读取场景与动画的调用方直接使用，
+ * 需要把场景加入 Scene 或修改节点的调用方使用 { clone: true } 获取独立的场景副本。
+ */
+export class AssetService {
+    /**
+     * @param {Object} options
+     * @param {AssetConfig|Object} options.assets 资源配置（见 AssetConfig.js）
+     * @param {number} options.retries 临时错误的最大重试次数（见 ModelLoader）
+     * @param {function(Object): void} options.onProgress 所有文件的汇总进度（多个订阅者使用 subscribeProgress）
+     * @param {THREE.WebGLRenderer} options.renderer 渲染器，KTX2 纹理需要（也可之后调用 setRenderer）
+     */
+    constructor(options = {}) {
+        this.assets = AssetConfig.from(options.assets)
+        this.loader = new ModelLoader({
+            ...options,
+            assets: this.assets,
+            onProgress: (progress) => this.handleProgress(progress)
+        })
+
+        this.cache = new Map() // url -> Promise<GLTF>
+
+        // 共享服务的每个使用方各自订阅进度，互不覆盖
+        this.onProgress = options.onProgress || null // Callback function
+        this.progressListeners = new Set()
+    }
+
+    /**
+     * 复用已有实例，或按选项创建（子系统未注入共享服务时使用）
+     * @param {AssetService|undefined} assetService
+     * @param {Object} options 创建新实例时的选项
+     * @returns {AssetService}
+     */
+    static from(assetService, options = {}) {
+        return assetService instanceof AssetService ? assetService : new AssetService(options)
+    }
+
+    setOnProgress(callback) {
+        this.onProgress = callback
+    }
+
+    /**
+     * 订阅加载进度（参数见 ModelLoader）
+     * @param {function(Object): void} listener
+     * @returns {function(): void} 取消订阅
+     */
+    subscribeProgress(listener) {
+        this.progressListeners.add(listener)
+        return () => this.progressListeners.delete(listener)
+    }
+
+    handleProgress(progress) {
+        if (this.onProgress) {
+            this.onProgress(progress)
+        }
+        this.progressListeners.forEach((listener) => listener(progress))
+    }
+
+    /**
+     * 设置渲染器以启用 KTX2 纹理（KHR_texture_basisu）
+     */
+    setRenderer(renderer) {
+        this.loader.setRenderer(renderer)
+    }
+
+    hasRenderer() {
+        return !!this.loader.renderer
+    }
+
+    /**
+     * 加载 GLTF（已缓存或正在加载时不会重复请求）
+     * @param {string} nameOrPath 模型清单中的名称，或文件路径
+     * @param {Object} options
+     * @param {boolean} options.clone 返回场景的独立副本（几何体与材质仍共享）
+     * @param {function(Object): void} options.onProgress 只包含本次请求所需文件的进度（见 trackProgress）
+     * @returns {Promise<Object>} GLTFLoader 的结果
+     */
+    async loadGLTF(nameOrPath, options = {}) {
+        const url = this.assets.getModelUrl(nameOrPath)
+        const stopProgress = options.onProgress ? this.trackProgress(url, options.onProgress) : null
+
+        try {
+            return await this.loadCachedGLTF(url, options)
+        } finally {
+            if (stopProgress) stopProgress()
+        }
+    }
+
+    async loadCachedGLTF(url, options) {
+        let pending = this.cache.get(url)
+        if (pending) {
+            console.log(`♻️ 复用已加载的模型: ${url}`)
+        } else {
+            pending = this.loader.load(url)
+            this.cache.set(url, pending)
+
+            // Failed loads are not cached, the next request tries again
+            pending.catch(() => {
+                if (this.cache.get(url) === pending) {
+                    this.cache.delete(url)
+                }
+            })
+        }
+
+        const gltf = await pending
+        return options.clone ? this.cloneGLTF(gltf) : gltf
+    }
+
+    /**
+     * 单个请求的进度：该模型文件，以及请求开始时尚未下载完成的解码器文件
+     * 其他调用方同时加载的模型不计入，共享服务上的多个使用方各自从 0% 开始
+     * @returns {function(): void} 停止跟踪
+     */
+    trackProgress(url, callback) {
+        const finishedBefore = new Set(this.loader.getProgress().files
+            .filter((file) => file.done)
+            .map((file) => file.url))
+        const isOwnFile = (fileUrl) => fileUrl === url || (!this.cache.has(fileUrl) && !finishedBefore.has(fileUrl))
+
+        return this.subscribeProgress((progress) => {
+            if (!isOwnFile(progress.url)) return
+
+            callback({
+                url: url,
+                attempt: this.loader.attempts.get(url) || 1,
+                ...this.loader.getProgress(isOwnFile)
+            })
+        })
+    }
+
+    cloneGLTF(gltf) {
+        const scene = SkeletonUtils.clone(gltf.scene)
+        return {
+            ...gltf,
+            scene: scene,
+            scenes: gltf.scenes.map((other) => other === gltf.scene ? scene : SkeletonUtils.clone(other))
+        }
+    }
+
+    has(nameOrPath) {
+        return this.cache.has(this.assets.getModelUrl(nameOrPath))
+    }
+
+    /**
+     * 从缓存中移除（不释放已被子系统使用的几何体和材质）
+     */
+    evict(nameOrPath) {
+        return this.cache.delete(this.assets.getModelUrl(nameOrPath))
+    }
+
+    /**
+     * 所有加载完成后释放 DRACO / KTX2 解码器的 Worker，之后的加载会重新初始化解码器
+     * 服务的创建者在不再加载新模型时调用（HeroParticleApp 在自己创建的服务加载结束后调用）
+     */
+    async releaseDecoders() {
+        await Promise.allSettled(this.cache.values())
+        this.loader.disposeDecoders()
+        console.log('🧹 已释放模型解码器')
+    }
+
+    dispose() {
+        this.cache.clear()
+        this.progressListeners.clear()
+        this.loader.dispose()
+    }
+}
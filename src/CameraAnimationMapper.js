@@ -1,4 +1,6 @@
 import * as THREE from 'three'
+import { KeyframeSampler } from './KeyframeSampler.js'
+import { AssetService } from './AssetService.js'
 
 /**
  * 相机动画映射器 - 将GLB文件中的相机轨迹应用到Three.js相机
@@ -8,16 +10,29 @@ import * as THREE from 'three'
  * 2. 将轨迹应用到现有的Three.js相机
  * 3. 与电影级相机系统协调工作
  * 4. 支持相机模式切换和平滑过渡
+ * 5. 镜头列表（shot list）：按顺序播放多个镜头，支持硬切、交叉淡化和推轨过渡
  */
 export class CameraAnimationMapper {
-    constructor(camera, scene) {
+    /**
+     * @param {THREE.Camera} camera
+     * @param {THREE.Scene} scene
+     * @param {Object} options
+     * @param {AssetService} options.assetService 共享的资源服务（见 AssetService.js），省略时单独创建
+     * @param {AssetConfig|Object} options.assets 未传入 assetService 时使用的资源配置（见 AssetConfig.js）
+     */
+    constructor(camera, scene, options = {}) {
         this.camera = camera
         this.scene = scene
+        this.assetService = AssetService.from(options.assetService, { assets: options.assets })
+        this.assets = this.assetService.assets
         
         // 相机轨迹数据
         this.customCameraTracks = null
         this.isUsingCustomCamera = false
         this.customCameraTime = 0
+        this.isTimeDriven = false // seek() 由外部时间轴驱动时为 true
+        this.timeline = null
+        this.unsubscribeTimeline = null
         
         // 原始状态保存
         this.originalCameraState = {
@@ -34,30 +49,29 @@ export class CameraAnimationMapper {
         this.isPaused = false
         this.currentAnimationIndex = 0
         
+        // 镜头列表（见 setShotList）
+        this.shotList = null
+        this.shotListDuration = 0
+        this.shotListLoop = false
+        this.currentShotIndex = -1
+        this.hasCompletedShotList = false
+        this.onCut = null             // Callback function，每次切换镜头时调用
+        this.onShotListComplete = null // Callback function
+        
         console.log('🎥 相机动画映射器初始化完成')
     }
 
     /**
      * 从GLB文件提取相机动画轨迹
-     * @param {string} filePath GLB文件路径
+     * @param {string} filePath GLB文件路径，或模型清单中的名称（默认 'camera'）
      */
-    async extractCameraTracks(filePath) {
+    async extractCameraTracks(filePath = 'camera') {
+        filePath = this.assets.getModelUrl(filePath)
+
         try {
             console.log(`🎬 开始提取相机轨迹: ${filePath}`)
             
-            // 使用现有的AnimationTrackExtractor逻辑，但专门处理相机
-            const { GLTFLoader } = await import('three/examples/jsm/loaders/GLTFLoader.js')
-            const { DRACOLoader } = await import('three/examples/jsm/loaders/DRACOLoader.js')
-            
-            const dracoLoader = new DRACOLoader()
-            dracoLoader.setDecoderPath('/draco/')
-            
-            const loader = new GLTFLoader()
-            loader.setDRACOLoader(dracoLoader)
-            
-            const gltf = await new Promise((resolve, reject) => {
-                loader.load(filePath, resolve, undefined, reject)
-            })
+            const gltf = await this.assetService.loadGLTF(filePath)
 
             const cameraTrackData = {
                 filePath,
@@ -137,8 +151,8 @@ export class CameraAnimationMapper {
                 animData.tracks[trackType] = {
                     times: Array.from(track.times),
                     values: Array.from(track.values),
-                    interpolation: track.getInterpolation(),
-                    valueSize: track.getValueSize(),
+                    interpolation: KeyframeSampler.getInterpolation(track),  // 'LINEAR' | 'STEP' | 'CUBICSPLINE'
+                    valueSize: KeyframeSampler.getValueSize(track),
                     type: track.constructor.name
                 }
                 console.log(`  📈 相机轨迹: ${trackInfo.objectName}.${trackType} (${track.times.length}帧)`)
@@ -193,171 +207,399 @@ export class CameraAnimationMapper {
      * @param {number} deltaTime 时间增量
      */
     updateCustomCamera(deltaTime) {
-        if (!this.isUsingCustomCamera || !this.customCameraTracks || this.isPaused) {
+        if (!this.isUsingCustomCamera || !this.customCameraTracks || this.isPaused || this.isTimeDriven) {
             return
         }
 
         // 更新动画时间
         this.customCameraTime += deltaTime * this.animationSpeed
 
+        if (this.shotList) {
+            this.updateShotList()
+            return
+        }
+
         const animation = this.customCameraTracks.animations[this.currentAnimationIndex]
         if (!animation) return
 
-        const duration = animation.duration
-        const loopTime = this.customCameraTime % duration
+        this.applyCameraAnimation(animation, this.customCameraTime % animation.duration)
+    }
+
+    /**
+     * 跳转到指定时间（供外部时间轴/滚动驱动使用），超出时长时停在最后一帧
+     * @param {number} time 时间（秒）
+     */
+    seek(time) {
+        this.isTimeDriven = true
+
+        if (!this.isUsingCustomCamera || !this.customCameraTracks) {
+            return
+        }
+
+        if (this.shotList) {
+            this.customCameraTime = THREE.MathUtils.clamp(time, 0, this.shotListDuration)
+            this.applyShotList(this.customCameraTime)
+            return
+        }
+
+        const animation = this.customCameraTracks.animations[this.currentAnimationIndex]
+        if (!animation) return
+
+        this.customCameraTime = THREE.MathUtils.clamp(time, 0, animation.duration)
+        this.applyCameraAnimation(animation, this.customCameraTime)
+    }
+
+    /**
+     * 订阅统一时间轴，之后由时间轴驱动相机动画（自身时钟停止推进）
+     * @param {Timeline} timeline
+     */
+    attachTimeline(timeline) {
+        this.detachTimeline()
+        this.timeline = timeline
+        this.unsubscribeTimeline = timeline.subscribe((time) => this.seek(time))
+    }
+
+    /**
+     * 取消订阅时间轴，恢复自身时钟
+     */
+    detachTimeline() {
+        if (this.unsubscribeTimeline) {
+            this.unsubscribeTimeline()
+            this.unsubscribeTimeline = null
+        }
+        this.timeline = null
+        this.isTimeDriven = false
+    }
+
+    /**
+     * 将指定时间的相机轨迹应用到相机
+     */
+    applyCameraAnimation(animation, time) {
+        this.applyCameraPose(this.sampleCameraPose(animation, time))
+    }
 
-        // 应用位置轨迹
+    /**
+     * 计算指定时间的相机姿态（没有对应轨迹的分量为 null，保持相机当前值）
+     * @returns {{position: THREE.Vector3|null, quaternion: THREE.Quaternion|null, fov: number|null}}
+     */
+    sampleCameraPose(animation, time) {
+        const pose = { position: null, quaternion: null, fov: null }
+
+        // 位置轨迹
         if (animation.tracks.position) {
-            const position = this.interpolateTrack(animation.tracks.position, loopTime)
+            const position = this.interpolateTrack(animation.tracks.position, time)
             if (position) {
-                this.camera.position.set(position.x, position.y, position.z)
+                pose.position = new THREE.Vector3(position.x, position.y, position.z)
             }
         }
 
-        // 应用四元数旋转轨迹（优先）
+        // 四元数旋转轨迹（优先）
         if (animation.tracks.quaternion) {
-            const quaternion = this.interpolateQuaternionTrack(animation.tracks.quaternion, loopTime)
+            const quaternion = this.interpolateQuaternionTrack(animation.tracks.quaternion, time)
             if (quaternion) {
-                this.camera.quaternion.set(quaternion.x, quaternion.y, quaternion.z, quaternion.w)
+                pose.quaternion = new THREE.Quaternion(quaternion.x, quaternion.y, quaternion.z, quaternion.w)
             }
         } else if (animation.tracks.rotation) {
             // 如果没有四元数，使用欧拉角
-            const rotation = this.interpolateTrack(animation.tracks.rotation, loopTime)
+            const rotation = this.interpolateTrack(animation.tracks.rotation, time)
             if (rotation) {
-                this.camera.rotation.set(rotation.x, rotation.y, rotation.z)
+                pose.quaternion = new THREE.Quaternion().setFromEuler(new THREE.Euler(rotation.x, rotation.y, rotation.z))
             }
         }
 
-        // 应用FOV轨迹（如果有）
+        // FOV轨迹（如果有）
         if (animation.tracks.fov) {
-            const fovValue = this.interpolateScalarTrack(animation.tracks.fov, loopTime)
-            if (fovValue !== null) {
-                this.camera.fov = fovValue
-                this.camera.updateProjectionMatrix()
-            }
+            pose.fov = this.interpolateScalarTrack(animation.tracks.fov, time)
+        }
+
+        return pose
+    }
+
+    applyCameraPose(pose) {
+        if (pose.position) {
+            this.camera.position.copy(pose.position)
+        }
+
+        if (pose.quaternion) {
+            this.camera.quaternion.copy(pose.quaternion)
+        }
+
+        if (pose.fov !== null) {
+            this.camera.fov = pose.fov
+            this.camera.updateProjectionMatrix()
         }
     }
 
     /**
-     * 插值计算轨迹值（向量类型）
+     * 混合两个相机姿态，某一方缺少的分量直接使用另一方
      */
-    interpolateTrack(track, time) {
-        if (!track || !track.times || !track.values) {
-            return null
+    blendCameraPoses(from, to, alpha) {
+        const pick = (a, b, blend) => (a && b ? blend(a, b) : (b || a))
+
+        return {
+            position: pick(from.position, to.position, (a, b) => a.clone().lerp(b, alpha)),
+            quaternion: pick(from.quaternion, to.quaternion, (a, b) => a.clone().slerp(b, alpha)),
+            fov: from.fov !== null && to.fov !== null
+                ? THREE.MathUtils.lerp(from.fov, to.fov, alpha)
+                : (to.fov !== null ? to.fov : from.fov)
         }
+    }
 
-        const times = track.times
-        const values = track.values
-        const valueSize = track.valueSize || 3
-        
-        // 找到时间区间
-        let i = 0
-        while (i < times.length - 1 && times[i + 1] <= time) {
-            i++
-        }
-
-        // 边界情况处理
-        if (i >= times.length - 1) {
-            const lastIndex = (times.length - 1) * valueSize
-            return {
-                x: values[lastIndex],
-                y: values[lastIndex + 1], 
-                z: values[lastIndex + 2]
+    /**
+     * 设置镜头列表，按顺序播放
+     * @param {Array<Object>} shots 镜头：
+     *   clip                相机动画名称或索引
+     *   in / out            镜头在片段中的入点/出点（秒），默认整个片段
+     *   transition          进入该镜头的方式：'cut' 硬切 | 'crossfade' 与上一镜头交叉淡化 | 'dolly' 从上一镜头的出点沿平滑路径移动到该镜头（衔接两端的运动方向与速度）
+     *   transitionDuration  过渡时长（秒），占用该镜头开头的一段时间
+     *   name                镜头名称（可选，用于事件和日志）
+     * @param {Object} options
+     * @param {boolean} options.loop 播放完最后一个镜头后是否从头开始
+     * @returns {boolean} 是否设置成功
+     */
+    setShotList(shots, options = {}) {
+        if (!this.customCameraTracks || this.customCameraTracks.animations.length === 0) {
+            console.warn('⚠️ 没有相机轨迹数据，无法设置镜头列表')
+            return false
+        }
+
+        if (!Array.isArray(shots) || shots.length === 0) {
+            console.warn('⚠️ 镜头列表为空')
+            return false
+        }
+
+        const animations = this.customCameraTracks.animations
+        let start = 0
+        const resolved = []
+
+        for (let index = 0; index < shots.length; index++) {
+            const shot = shots[index]
+            const animation = typeof shot.clip === 'number'
+                ? animations[shot.clip]
+                : animations.find((anim) => anim.name === shot.clip)
+
+            if (!animation) {
+                console.warn(`⚠️ 镜头 ${index} 的相机动画不存在: ${shot.clip}`)
+                return false
             }
+
+            const inTime = THREE.MathUtils.clamp(shot.in || 0, 0, animation.duration)
+            const outTime = shot.out !== undefined
+                ? THREE.MathUtils.clamp(shot.out, inTime, animation.duration)
+                : animation.duration
+            const length = outTime - inTime
+
+            resolved.push({
+                name: shot.name || `${animation.name}@${inTime.toFixed(2)}`,
+                animation: animation,
+                in: inTime,
+                out: outTime,
+                start: start,
+                transition: index > 0 ? (shot.transition || 'cut') : 'cut',
+                transitionDuration: Math.min(shot.transitionDuration ?? 0.5, length)
+            })
+
+            start += length
         }
 
-        // 线性插值
-        const t0 = times[i]
-        const t1 = times[i + 1]
-        const alpha = (time - t0) / (t1 - t0)
+        this.shotList = resolved
+        this.shotListDuration = start
+        this.shotListLoop = options.loop || false
+        this.currentShotIndex = -1
+        this.hasCompletedShotList = false
+        this.customCameraTime = 0
 
-        const i0 = i * valueSize
-        const i1 = (i + 1) * valueSize
+        console.log(`🎞️ 镜头列表已设置: ${resolved.length} 个镜头, 总时长 ${start.toFixed(2)}s`)
+        return true
+    }
 
-        return {
-            x: THREE.MathUtils.lerp(values[i0], values[i1], alpha),
-            y: THREE.MathUtils.lerp(values[i0 + 1], values[i1 + 1], alpha),
-            z: THREE.MathUtils.lerp(values[i0 + 2], values[i1 + 2], alpha)
+    clearShotList() {
+        this.shotList = null
+        this.shotListDuration = 0
+        this.currentShotIndex = -1
+        this.hasCompletedShotList = false
+    }
+
+    // 推进镜头列表的播放时间（customCameraTime 已在 updateCustomCamera 中累加）
+    updateShotList() {
+        if (this.customCameraTime >= this.shotListDuration) {
+            if (this.shotListLoop && this.shotListDuration > 0) {
+                this.customCameraTime %= this.shotListDuration
+            } else {
+                // 停在最后一帧，完成回调只触发一次
+                const justCompleted = !this.hasCompletedShotList
+                this.customCameraTime = this.shotListDuration
+                this.hasCompletedShotList = true
+                this.applyShotList(this.customCameraTime)
+
+                if (justCompleted) {
+                    console.log('✅ 镜头列表播放完成')
+                    if (this.onShotListComplete) {
+                        this.onShotListComplete()
+                    }
+                }
+                return
+            }
         }
+
+        this.applyShotList(this.customCameraTime)
     }
 
     /**
-     * 插值计算四元数轨迹值
+     * 应用镜头列表在指定时间的相机姿态，镜头变化时触发 onCut
+     * @param {number} time 镜头列表时间（秒）
      */
-    interpolateQuaternionTrack(track, time) {
-        if (!track || !track.times || !track.values) {
-            return null
+    applyShotList(time) {
+        const index = this.getShotIndexAt(time)
+        const shot = this.shotList[index]
+        const localTime = time - shot.start
+
+        if (index !== this.currentShotIndex) {
+            const previousIndex = this.currentShotIndex
+            this.currentShotIndex = index
+            console.log(`🎬 镜头 ${index}: ${shot.name} (${shot.transition})`)
+
+            if (this.onCut) {
+                this.onCut({ index, previousIndex, shot, transition: shot.transition, time })
+            }
         }
 
-        const times = track.times
-        const values = track.values
-        
-        // 找到时间区间
-        let i = 0
-        while (i < times.length - 1 && times[i + 1] <= time) {
-            i++
-        }
-
-        // 边界情况处理
-        if (i >= times.length - 1) {
-            const lastIndex = (times.length - 1) * 4
-            return {
-                x: values[lastIndex],
-                y: values[lastIndex + 1],
-                z: values[lastIndex + 2],
-                w: values[lastIndex + 3]
+        let pose = this.sampleCameraPose(shot.animation, shot.in + localTime)
+
+        // 过渡期间与上一个镜头混合
+        if (index > 0 && shot.transition !== 'cut' && localTime < shot.transitionDuration) {
+            const previous = this.shotList[index - 1]
+            const progress = localTime / shot.transitionDuration
+
+            if (shot.transition === 'crossfade') {
+                // 上一个镜头继续播放（超过片段长度时停在最后一帧），线性淡化
+                const previousTime = Math.min(previous.out + localTime, previous.animation.duration)
+                const previousPose = this.sampleCameraPose(previous.animation, previousTime)
+                pose = this.blendCameraPoses(previousPose, pose, progress)
+            } else if (shot.transition === 'dolly') {
+                pose = this.sampleDollyPose(previous, shot, progress)
             }
         }
 
-        // 四元数球面线性插值
-        const t0 = times[i]
-        const t1 = times[i + 1]
-        const alpha = (time - t0) / (t1 - t0)
+        this.applyCameraPose(pose)
+    }
 
-        const i0 = i * 4
-        const i1 = (i + 1) * 4
+    /**
+     * 推轨过渡：相机从上一镜头的出点沿三次 Hermite 曲线移动到本镜头过渡结束时的姿态，
+     * 曲线两端的切线取自两个镜头在该处的速度，进出过渡时运动连续；期间本镜头的动画不推进
+     * @param {Object} previous 上一个镜头
+     * @param {Object} shot 当前镜头
+     * @param {number} progress 过渡进度 0-1
+     */
+    sampleDollyPose(previous, shot, progress) {
+        const duration = shot.transitionDuration
+        const endTime = shot.in + duration
+        const from = this.sampleCameraPose(previous.animation, previous.out)
+        const to = this.sampleCameraPose(shot.animation, endTime)
+        const eased = THREE.MathUtils.smootherstep(progress, 0, 1)
+
+        // 缺少位置轨迹时只能混合旋转和 FOV
+        if (!from.position || !to.position) {
+            return this.blendCameraPoses(from, to, eased)
+        }
+
+        const fromVelocity = this.sampleCameraVelocity(previous.animation, previous.out)
+        const toVelocity = this.sampleCameraVelocity(shot.animation, endTime)
+
+        const t = progress
+        const t2 = t * t
+        const t3 = t2 * t
+        const position = new THREE.Vector3()
+            .addScaledVector(from.position, 2 * t3 - 3 * t2 + 1)
+            .addScaledVector(fromVelocity, (t3 - 2 * t2 + t) * duration)
+            .addScaledVector(to.position, -2 * t3 + 3 * t2)
+            .addScaledVector(toVelocity, (t3 - t2) * duration)
 
-        const q0 = new THREE.Quaternion(values[i0], values[i0 + 1], values[i0 + 2], values[i0 + 3])
-        const q1 = new THREE.Quaternion(values[i1], values[i1 + 1], values[i1 + 2], values[i1 + 3])
-        
-        const result = new THREE.Quaternion().slerpQuaternions(q0, q1, alpha)
-        
         return {
-            x: result.x,
-            y: result.y,
-            z: result.z,
-            w: result.w
+            ...this.blendCameraPoses(from, to, eased),
+            position: position
         }
     }
 
     /**
-     * 插值计算标量轨迹值（如FOV）
+     * 相机位置轨迹在指定时间的速度（单位/秒），用向前一帧的差分估算（片段开头改用向后一帧）
      */
-    interpolateScalarTrack(track, time) {
-        if (!track || !track.times || !track.values) {
+    sampleCameraVelocity(animation, time) {
+        const velocity = new THREE.Vector3()
+        if (!animation.tracks.position) {
+            return velocity
+        }
+
+        const step = 1 / 60
+        const other = time >= step ? time - step : Math.min(time + step, animation.duration)
+        const a = this.interpolateTrack(animation.tracks.position, time)
+        const b = this.interpolateTrack(animation.tracks.position, other)
+        if (!a || !b || other === time) {
+            return velocity
+        }
+
+        return velocity.set(b.x - a.x, b.y - a.y, b.z - a.z).divideScalar(other - time)
+    }
+
+    getShotIndexAt(time) {
+        let index = 0
+        while (index < this.shotList.length - 1 && this.shotList[index + 1].start <= time) {
+            index++
+        }
+        return index
+    }
+
+    /**
+     * 设置切换镜头回调
+     * @param {function({index, previousIndex, shot, transition, time}): void} callback
+     */
+    setOnCut(callback) {
+        this.onCut = callback
+    }
+
+    setOnShotListComplete(callback) {
+        this.onShotListComplete = callback
+    }
+
+    /**
+     * 插值计算轨迹值（向量类型），按轨迹的插值方式（LINEAR / STEP / CUBICSPLINE）取值
+     */
+    interpolateTrack(track, time) {
+        const value = KeyframeSampler.sample(track, time)
+        if (!value) {
             return null
         }
 
-        const times = track.times
-        const values = track.values
-        
-        // 找到时间区间
-        let i = 0
-        while (i < times.length - 1 && times[i + 1] <= time) {
-            i++
+        return {
+            x: value[0],
+            y: value[1],
+            z: value[2]
         }
+    }
 
-        // 边界情况处理
-        if (i >= times.length - 1) {
-            return values[times.length - 1]
+    /**
+     * 插值计算四元数轨迹值
+     */
+    interpolateQuaternionTrack(track, time) {
+        const result = KeyframeSampler.sampleQuaternion(track, time)
+        if (!result) {
+            return null
         }
 
-        // 线性插值
-        const t0 = times[i]
-        const t1 = times[i + 1]
-        const alpha = (time - t0) / (t1 - t0)
+        return {
+            x: result.x,
+            y: result.y,
+            z: result.z,
+            w: result.w
+        }
+    }
 
-        return THREE.MathUtils.lerp(values[i], values[i + 1], alpha)
+    /**
+     * 插值计算标量轨迹值（如FOV）
+     */
+    interpolateScalarTrack(track, time) {
+        const value = KeyframeSampler.sample({ ...track, valueSize: 1 }, time)
+        return value ? value[0] : null
     }
 
     /**
@@ -389,6 +631,7 @@ export class CameraAnimationMapper {
             return false
         }
 
+        this.clearShotList()
         this.currentAnimationIndex = animationIndex
         this.customCameraTime = 0
         console.log(`🎬 切换到相机动画 ${animationIndex}: ${this.customCameraTracks.animations[animationIndex].name}`)
@@ -420,6 +663,8 @@ export class CameraAnimationMapper {
             isUsingCustomCamera: this.isUsingCustomCamera,
             currentTime: this.customCameraTime,
             currentAnimation: this.currentAnimationIndex,
+            currentShot: this.shotList ? this.currentShotIndex : null,
+            shotCount: this.shotList ? this.shotList.length : 0,
             animationSpeed: this.animationSpeed,
             isPaused: this.isPaused,
             hasCustomTracks: !!this.customCameraTracks,
@@ -433,6 +678,9 @@ export class CameraAnimationMapper {
     dispose() {
         this.customCameraTracks = null
         this.isUsingCustomCamera = false
+        this.clearShotList()
+        this.onCut = null
+        this.onShotListComplete = null
         this.restoreOriginalCamera()
     }
 }
\ No newline at end of file
@@ -1,14 +1,82 @@
 import * as THREE from 'three'
+import { GPUComputationRenderer } from 'three/examples/jsm/misc/GPUComputationRenderer.js'
 import { SkinnedModelProcessor } from './SkinnedModelProcessor.js'
+import { RingRegistry } from './RingRegistry.js'
+import { AnimationBlendTree } from './AnimationBlendTree.js'
+import { TargetShapeGenerator } from './TargetShapeGenerator.js'
 import { particleVertexShader } from './shaders/particles.vert.js'
 import { particleFragmentShader } from './shaders/particles.frag.js'
+import { simulationVelocityShader, simulationPositionShader } from './shaders/particles.simulation.js'
+
+// Uniforms of particles.transform.js, shared between the render material and the simulation passes
+const TRANSFORM_UNIFORMS = [
+    'uBasePositions',
+    'uSkinIndices',
+    'uSkinWeights',
+    'uBoneTexture',
+    'uBindMatrix',
+    'uBindMatrixInverse',
+    'uSkinnedMeshMatrix',
+    'uNodeMatrices',
+    'uMorphTargetPositions',
+    'uMorphProgress'
+]
 
 export class HeroParticleSystem {
-    constructor(scene, model, animations) {
+    constructor(scene, model, animations, options = {}) {
         this.scene = scene
         this.model = model
         this.animations = animations
         
+        // Particle source options
+        // particleMode: 'auto'  - first SkinnedMesh, otherwise all static meshes baked in world space
+        //               'nodes' - every mesh, each particle follows its mesh's animated matrixWorld
+        this.options = {
+            particleMode: 'auto',
+            maxParticles: 120000,   // Global budget shared by all meshes (by surface area)
+            meshBudgets: {},        // Per-mesh overrides by name, e.g. { '網格003_1': 5000 }
+            samplingSeed: 1,
+            sampling: 'vertex',     // 'vertex' = one particle per vertex, 'surface' = area-weighted, exact maxParticles
+            renderer: null,         // WebGLRenderer, required for the GPGPU simulation
+            endShape: null,         // Wordmark formed when the timeline ends, e.g. { text: 'FELLOU', width: 12 }
+            ringRegistry: null,     // Shared RingRegistry; a default one is created when omitted
+            trackMask: null,        // Extra nodes to keep still, e.g. { nodes: ['Empty'], clips: { 'Action.003': ['Scenes_B_0023'] } }
+            blendStates: {},        // Extra blend tree states, e.g. { breathe: { clips: ['Action.002'], additive: true } }
+            initialBlendState: 'all', // 'all' plays every clip; each clip also has a state named after it
+            crossFadeDuration: 0.5,
+            ...options
+        }
+
+        // GPGPU simulation: per-particle position/velocity textures with spring, curl noise, damping and mouse forces
+        this.simulation = {
+            enabled: false,
+            stiffness: 6.0,       // Spring towards the animated target
+            damping: 0.9,         // Velocity factor per 1/60s
+            curlStrength: 0.4,
+            curlScale: 0.15,
+            mouseRadius: 8.0,
+            mouseForce: 40.0,
+            ...options.simulation
+        }
+        this.gpuCompute = null
+        this.positionVariable = null
+        this.velocityVariable = null
+        this.simulationNeedsSnap = true
+
+        // Morph between the animated model shape and a second layout (another model, text, logo)
+        this.morphTargetTexture = null
+        this.shapeGenerator = null
+        this.shapeCache = new Map()   // shape object -> generated positions (rasterizing text is slow)
+        this.morphTargetShape = null  // Shape currently uploaded as the morph target
+        this.morphState = {
+            progress: 0.0,
+            from: 0.0,
+            to: 0.0,
+            duration: 0.0,
+            elapsed: 0.0,
+            active: false
+        }
+        
         this.particleCount = 0
         this.textureWidth = 0
         this.textureHeight = 0
@@ -18,10 +86,16 @@ export class HeroParticleSystem {
         this.particles = null
         this.particleMaterial = null
         this.skinnedMesh = null
+        this.boneTexture = null
+        this.nodeMatrixTexture = null
+        this.particleNodes = [] // Meshes whose matrixWorld drives particles in 'nodes' mode
         this.animationMixer = null
         this.animationActions = []
+        this.blendTree = null
         this.customAnimationTime = 0
-        this.smallestRingObjects = [] // Store references to smallest ring objects
+        this.isTimeDriven = false // true once an external timeline calls seek()
+        this.timeline = null
+        this.unsubscribeTimeline = null
 
         // Enhanced animation control system
         this.animationSpeed = 1.0
@@ -47,14 +121,6 @@ export class HeroParticleSystem {
             frequency: 0.3,
             phase: 0.0
         }
-        this.animationBlending = {
-            enabled: true,
-            primaryWeight: 1.0,
-            secondaryWeight: 0.0,
-            blendSpeed: 2.0,
-            targetPrimary: 0,
-            targetSecondary: 1
-        }
         this.animationModes = {
             SINGLE: 'single',
             BLEND: 'blend',
@@ -78,22 +144,8 @@ export class HeroParticleSystem {
             }
         }
 
-        // Animation scene control - set to false to disable specific scenes
-        // 支持新旧两种动画命名格式
-        this.enabledScenes = {
-            // 新模型动画名称 (Action.00X格式)
-            'Action.002': true,               // Main ring animation (新格式)
-            'Action.003': false,              // Second ring animation - DISABLED (新格式)
-            'Action.004': false,              // Smallest ring - always disabled (新格式)
-            'Action.005': false,              // VIP ring - always disabled (新格式)
-            
-            // 原始动画名称 (向后兼容)
-            'Scenes_B_00100Action': true,     // Main ring animation (原格式)
-            'Scenes_B_0023动作': false,        // Second ring animation - DISABLED (原格式)
-            'Scenes_B_00100.001Action': false, // Smallest ring - always disabled (原格式)
-            '素白艺术™_-_suby.cn/vipAction.001': false, // VIP ring - always disabled (原格式)
-            'vipAction.001': false             // VIP ring fallback name
-        }
+        // Ring identification and which ring clips are enabled (see RingRegistry.js)
+        this.ringRegistry = this.options.ringRegistry || new RingRegistry()
 
         this.processor = new SkinnedModelProcessor()
     }
@@ -101,6 +153,11 @@ export class HeroParticleSystem {
     async init() {
         console.log('🔍 HeroParticleSystem: 开始初始化...')
 
+        if (this.options.particleMode === 'nodes') {
+            this.createFromNodeAnimatedMeshes()
+            return
+        }
+
         // Find the first skinned mesh in the model
         this.skinnedMesh = this.findSkinnedMesh()
 
@@ -113,23 +170,25 @@ export class HeroParticleSystem {
         console.log('✅ 找到SkinnedMesh:', this.skinnedMesh.name)
         
         // Process the skinned mesh data
-        const processedData = this.processor.processSkinnedMesh(this.skinnedMesh)
+        const processedData = this.processor.processSkinnedMesh(this.skinnedMesh, {
+            sampling: this.options.sampling,
+            particleCount: this.options.maxParticles,
+            seed: this.options.samplingSeed
+        })
         
         this.particleCount = processedData.particleCount
         this.textureWidth = processedData.textureWidth
         this.textureHeight = processedData.textureHeight
-        this.boneCount = this.skinnedMesh.skeleton ? this.skinnedMesh.skeleton.bones.length : 0
+        this.boneCount = processedData.boneCount
+        this.boneTexture = processedData.boneTexture
         
         // Create particle system
-        this.createParticleGeometry()
+        this.createParticleGeometry(processedData)
         this.createParticleMaterial(processedData)
         this.createParticleObject()
         
 
 
-        // Find and store references to smallest ring objects
-        this.findSmallestRingObjects()
-
         // Setup animation
         if (this.animations.length > 0) {
             this.setupAnimation()
@@ -152,101 +211,102 @@ export class HeroParticleSystem {
         return skinnedMesh
     }
 
-    findSmallestRingObjects() {
-        this.smallestRingObjects = []
+    // Nodes of every registered ring with their subtrees, keyed by ring id
+    getRingNodeSets() {
+        const ringNodes = new Map()
+        const { matched } = this.ringRegistry.bind(this.model)
 
-        this.model.traverse((child) => {
-            // Look for objects that might be related to the smallest ring
-            if (child.name.includes('00100001') ||
-                child.name.includes('vip') ||
-                child.name.includes('素白艺术')) {
-                this.smallestRingObjects.push(child)
+        this.ringRegistry.getRings().forEach((ring) => {
+            const nodes = new Set()
+            matched[ring.id].forEach((node) => node.traverse((child) => nodes.add(child)))
+            ringNodes.set(ring.id, nodes)
+        })
+
+        return ringNodes
+    }
+
+    // Nodes (with their subtrees) whose tracks are dropped from a clip: rings that don't play this clip
+    // (`animated: false` or not in the ring's `clips`) plus options.trackMask
+    getMaskedNodes(clipName, ringNodes) {
+        const masked = new Set()
+        const addSubtree = (node) => node.traverse((child) => masked.add(child))
+
+        ringNodes.forEach((nodes, ringId) => {
+            if (!this.ringRegistry.isClipEnabled(ringId, clipName)) {
+                nodes.forEach((node) => masked.add(node))
             }
         })
+
+        const trackMask = this.options.trackMask || {}
+        const names = [...(trackMask.nodes || []), ...((trackMask.clips || {})[clipName] || [])]
+        names.forEach((name) => {
+            const node = THREE.PropertyBinding.findNode(this.model, THREE.PropertyBinding.sanitizeNodeName(name))
+            if (node) {
+                addSubtree(node)
+            } else {
+                console.warn(`⚠️ 轨迹遮罩中的节点不存在: ${name}`)
+            }
+        })
+
+        return masked
     }
 
-    isAnimationEnabled(animationName) {
-        // Check exact matches first
-        if (this.enabledScenes.hasOwnProperty(animationName)) {
-            return this.enabledScenes[animationName]
+    // Copy of the clip without tracks that target masked nodes; null when nothing is left to play
+    maskClip(clip, root, ringNodes) {
+        const masked = this.getMaskedNodes(clip.name, ringNodes)
+        if (masked.size === 0) return clip
+
+        const tracks = clip.tracks.filter((track) => {
+            const { nodeName } = THREE.PropertyBinding.parseTrackName(track.name)
+            const node = THREE.PropertyBinding.findNode(root, nodeName)
+            return !node || !masked.has(node)
+        })
+
+        if (tracks.length === clip.tracks.length) return clip
+        if (tracks.length === 0) {
+            console.log(`  🚫 动画 ${clip.name} 的所有轨迹均被遮罩，跳过`)
+            return null
         }
 
-        // Check partial matches for flexibility
-        for (const [sceneName, enabled] of Object.entries(this.enabledScenes)) {
-            if (animationName.includes(sceneName) || sceneName.includes(animationName)) {
-                return enabled
-            }
+        console.log(`  🎭 动画 ${clip.name}: 遮罩 ${clip.tracks.length - tracks.length}/${clip.tracks.length} 条轨迹`)
+        return new THREE.AnimationClip(clip.name, clip.duration, tracks)
+    }
+
+    // Replace the track mask and rebuild the actions
+    setTrackMask(trackMask) {
+        this.options.trackMask = trackMask
+
+        if (this.animationMixer) {
+            this.animationMixer.stopAllAction()
+            this.animationMixer.uncacheRoot(this.animationMixer.getRoot())
+            this.animationMixer = null
+            this.animationActions = []
         }
 
-        // Default to enabled if not found in the list
-        return true
+        if (this.animations.length > 0) {
+            this.setupAnimation()
+        }
     }
     
     createFromStaticMesh() {
-        // For now, find the first mesh with the most vertices
-        let bestMesh = null
-        let maxVertices = 0
-        
-        this.model.traverse((child) => {
-            if (child.isMesh && child.geometry) {
-                const vertexCount = child.geometry.attributes.position.count
-                if (vertexCount > maxVertices) {
-                    maxVertices = vertexCount
-                    bestMesh = child
-                }
-            }
-        })
+        // Sample every mesh of the model, baked into world space
+        const meshes = this.collectParticleMeshes()
         
-        if (bestMesh) {
-            console.log('✅ 找到最佳网格:', bestMesh.name, '顶点数:', maxVertices)
+        if (meshes.length > 0) {
+            this.model.updateMatrixWorld(true)
 
-            // Significantly increase particle count for much better visual clarity
-            const maxParticles = 120000 // Much higher limit for crisp detail
+            const processedData = this.processor.processStaticMeshes(meshes, this.getSamplingOptions())
 
-            // Process as static mesh (simplified version)
-            const positions = bestMesh.geometry.attributes.position.array
-            this.particleCount = Math.min(positions.length / 3, maxParticles)
+            this.particleCount = processedData.particleCount
+            this.textureWidth = processedData.textureWidth
+            this.textureHeight = processedData.textureHeight
 
-            console.log('🎨 创建粒子系统，粒子数量:', this.particleCount)
+            console.log(`🎨 创建粒子系统: ${meshes.length} 个网格, 粒子数量: ${this.particleCount}`)
             
-            // Calculate texture dimensions
-            this.textureWidth = Math.ceil(Math.sqrt(this.particleCount))
-            this.textureHeight = Math.ceil(this.particleCount / this.textureWidth)
-            
-            // Create base position texture
-            const textureData = new Float32Array(this.textureWidth * this.textureHeight * 4)
-            for (let i = 0; i < this.particleCount; i++) {
-                const i3 = i * 3
-                const i4 = i * 4
-                textureData[i4] = positions[i3]     // x
-                textureData[i4 + 1] = positions[i3 + 1] // y
-                textureData[i4 + 2] = positions[i3 + 2] // z
-                textureData[i4 + 3] = 1.0           // w
-            }
-            
-            const basePositionTexture = new THREE.DataTexture(
-                textureData,
-                this.textureWidth,
-                this.textureHeight,
-                THREE.RGBAFormat,
-                THREE.FloatType
-            )
-            basePositionTexture.needsUpdate = true
-            
-            const processedData = {
-                particleCount: this.particleCount,
-                textureWidth: this.textureWidth,
-                textureHeight: this.textureHeight,
-                basePositionTexture
-            }
-            
-            this.createParticleGeometry()
+            this.createParticleGeometry(processedData)
             this.createParticleMaterial(processedData)
             this.createParticleObject()
 
-            // Find and store references to smallest ring objects
-            this.findSmallestRingObjects()
-
             // Setup animation even for static mesh
             if (this.animations.length > 0) {
                 this.setupAnimation()
@@ -258,7 +318,67 @@ export class HeroParticleSystem {
         }
     }
     
-    createParticleGeometry() {
+    collectParticleMeshes(root = this.model) {
+        const meshes = []
+
+        root.traverse((child) => {
+            if (child.isMesh && child.geometry && child.geometry.attributes.position) {
+                meshes.push(child)
+            }
+        })
+
+        return meshes
+    }
+
+    getSamplingOptions() {
+        return {
+            budget: this.options.maxParticles,
+            meshBudgets: this.options.meshBudgets,
+            seed: this.options.samplingSeed,
+            method: this.options.sampling
+        }
+    }
+
+    // Index of the ring a mesh belongs to (0 main, 1 middle, 2 small, ...), -1 when it is not part of a ring
+    getRingIndex(object) {
+        const ring = this.ringRegistry.getRingForObject(object)
+        return ring ? ring.index : -1
+    }
+    
+    createFromNodeAnimatedMeshes() {
+        const meshes = this.collectParticleMeshes()
+
+        if (meshes.length === 0) {
+            console.error('❌ 未找到任何可用的网格来创建粒子系统')
+            return
+        }
+
+        // World matrices must be valid before the first frame is rendered
+        this.model.updateMatrixWorld(true)
+
+        const processedData = this.processor.processNodeAnimatedMeshes(meshes, this.getSamplingOptions())
+
+        this.particleCount = processedData.particleCount
+        this.textureWidth = processedData.textureWidth
+        this.textureHeight = processedData.textureHeight
+        this.nodeMatrixTexture = processedData.nodeMatrixTexture
+        this.particleNodes = processedData.meshes
+
+        console.log(`🎨 节点动画粒子模式: ${meshes.length} 个网格, 粒子数量: ${this.particleCount}`)
+
+        this.createParticleGeometry(processedData)
+        this.createParticleMaterial(processedData)
+        this.createParticleObject()
+
+        // Node animations are applied by the mixer on the model itself
+        if (this.animations.length > 0) {
+            this.setupAnimation()
+        }
+
+        console.log('✅ 节点动画粒子系统创建完成')
+    }
+    
+    createParticleGeometry(processedData = {}) {
         this.particleGeometry = new THREE.BufferGeometry()
 
         // Create UV coordinates for each particle to sample textures
@@ -273,14 +393,57 @@ export class HeroParticleSystem {
         }
 
         this.particleGeometry.setAttribute('uv', new THREE.BufferAttribute(uvs, 2))
+
+        // Record which mesh / ring every particle was sampled from
+        if (processedData.meshIndices && processedData.meshes) {
+            const ringIndexByMesh = processedData.meshes.map((mesh) => this.getRingIndex(mesh))
+            const ringIndices = new Float32Array(this.particleCount)
+
+            for (let i = 0; i < this.particleCount; i++) {
+                ringIndices[i] = ringIndexByMesh[processedData.meshIndices[i]]
+            }
+
+            this.particleGeometry.setAttribute('aMeshIndex', new THREE.BufferAttribute(processedData.meshIndices, 1))
+            this.particleGeometry.setAttribute('aRingIndex', new THREE.BufferAttribute(ringIndices, 1))
+        }
     }
     
     createParticleMaterial(processedData) {
         try {
+            const defines = {}
+            const animationUniforms = {}
+
+            // GPU skinning: the vertex shader deforms base positions with the current bone pose
+            if (processedData.skinIndexTexture && processedData.skinWeightTexture && processedData.boneTexture) {
+                defines.USE_SKINNING = ''
+                Object.assign(animationUniforms, {
+                    uSkinIndices: { value: processedData.skinIndexTexture },
+                    uSkinWeights: { value: processedData.skinWeightTexture },
+                    uBoneTexture: { value: processedData.boneTexture },
+                    uBindMatrix: { value: processedData.bindMatrix },
+                    uBindMatrixInverse: { value: processedData.bindMatrixInverse },
+                    uSkinnedMeshMatrix: { value: new THREE.Matrix4() }
+                })
+                console.log('🦴 启用GPU骨骼蒙皮，骨骼数量:', processedData.boneCount)
+            }
+
+            // Node transforms: each particle is moved by its owning mesh's matrixWorld
+            if (processedData.nodeMatrixTexture) {
+                defines.USE_NODE_TRANSFORMS = ''
+                animationUniforms.uNodeMatrices = { value: processedData.nodeMatrixTexture }
+            }
+
+            // Morph target slot, USE_MORPH_TARGET is only defined once a target is set
+            animationUniforms.uMorphTargetPositions = { value: null }
+            this.morphTargetShape = null
+            animationUniforms.uMorphProgress = { value: this.morphState.progress }
+
             this.particleMaterial = new THREE.ShaderMaterial({
                 vertexShader: particleVertexShader,
                 fragmentShader: particleFragmentShader,
+                defines,
                 uniforms: {
+                    ...animationUniforms,
                     uBasePositions: { value: processedData.basePositionTexture },
                     uPointSize: { value: 6.5 }, // 恢复原始尺寸
                     uOpacity: { value: 0.85 }, // 恢复原始透明度
@@ -305,6 +468,7 @@ export class HeroParticleSystem {
 
         } catch (error) {
             // Fallback to basic material
+            console.error('❌ 粒子着色器材质创建失败，使用基础材质:', error)
             this.particleMaterial = new THREE.PointsMaterial({
                 color: 0x4488ff,
                 size: 4.0,
@@ -312,7 +476,98 @@ export class HeroParticleSystem {
                 opacity: 0.8,
                 blending: THREE.AdditiveBlending
             })
+            return
+        }
+
+        // A failing simulation only loses the GPGPU stage; skinning and morphing stay on the shader path
+        if (this.simulation.enabled) {
+            try {
+                this.createSimulation(processedData)
+            } catch (error) {
+                console.error('❌ GPGPU模拟创建失败，回退到无状态粒子动画:', error)
+                this.disableSimulation()
+            }
+        }
+    }
+
+    // Drop the GPGPU stage and render straight from the animated targets
+    disableSimulation() {
+        if (this.gpuCompute) {
+            this.gpuCompute.dispose()
+            this.gpuCompute = null
+        }
+        this.positionVariable = null
+        this.velocityVariable = null
+
+        if (this.particleMaterial.defines.USE_SIMULATION !== undefined) {
+            delete this.particleMaterial.defines.USE_SIMULATION
+            delete this.particleMaterial.uniforms.uSimPositions
+            this.particleMaterial.needsUpdate = true
+        }
+    }
+    
+    createSimulation(processedData) {
+        if (!this.options.renderer) {
+            console.warn('⚠️ GPGPU模拟需要传入renderer选项，已回退到无状态粒子动画')
+            return
+        }
+
+        this.gpuCompute = new GPUComputationRenderer(this.textureWidth, this.textureHeight, this.options.renderer)
+
+        // Start from the base positions at rest; the first compute snaps them onto the animated shape
+        const initialPosition = this.gpuCompute.createTexture()
+        initialPosition.image.data.set(processedData.basePositionTexture.image.data)
+        const initialVelocity = this.gpuCompute.createTexture()
+
+        this.velocityVariable = this.gpuCompute.addVariable('textureVelocity', simulationVelocityShader, initialVelocity)
+        this.positionVariable = this.gpuCompute.addVariable('texturePosition', simulationPositionShader, initialPosition)
+        this.gpuCompute.setVariableDependencies(this.velocityVariable, [this.positionVariable, this.velocityVariable])
+        this.gpuCompute.setVariableDependencies(this.positionVariable, [this.positionVariable, this.velocityVariable])
+
+        // Both passes resolve the animated target with the same defines and (shared) uniforms as the render shader
+        const transformUniforms = {}
+        TRANSFORM_UNIFORMS.forEach((name) => {
+            if (this.particleMaterial.uniforms[name]) {
+                transformUniforms[name] = this.particleMaterial.uniforms[name]
+            }
+        })
+
+        const deltaTime = { value: 0.0 }
+        const snapToTarget = { value: 1.0 }
+
+        Object.assign(this.velocityVariable.material.defines, this.particleMaterial.defines)
+        Object.assign(this.velocityVariable.material.uniforms, transformUniforms, {
+            uTime: { value: 0.0 },
+            uDeltaTime: deltaTime,
+            uStiffness: { value: this.simulation.stiffness },
+            uDamping: { value: this.simulation.damping },
+            uCurlStrength: { value: this.simulation.curlStrength },
+            uCurlScale: { value: this.simulation.curlScale },
+            uMousePosition: { value: new THREE.Vector3() },
+            uMouseStrength: { value: 0.0 },
+            uMouseRadius: { value: this.simulation.mouseRadius },
+            uMouseForce: { value: this.simulation.mouseForce },
+            uSnapToTarget: snapToTarget
+        })
+
+        Object.assign(this.positionVariable.material.defines, this.particleMaterial.defines)
+        Object.assign(this.positionVariable.material.uniforms, transformUniforms, {
+            uDeltaTime: deltaTime,
+            uSnapToTarget: snapToTarget
+        })
+
+        const error = this.gpuCompute.init()
+        if (error !== null) {
+            console.error('❌ GPGPU模拟初始化失败，回退到无状态粒子动画:', error)
+            this.disableSimulation()
+            return
         }
+
+        this.particleMaterial.defines.USE_SIMULATION = ''
+        this.particleMaterial.uniforms.uSimPositions = { value: null }
+        this.simulationNeedsSnap = true
+
+        console.log('🌀 GPGPU粒子模拟已启用:', `${this.textureWidth}x${this.textureHeight}`)
     }
     
     createParticleObject() {
@@ -325,82 +580,58 @@ export class HeroParticleSystem {
     }
     
     setupAnimation() {
-        if (!this.skinnedMesh) {
-            if (this.animations.length > 0) {
-                this.animationMixer = new THREE.AnimationMixer(this.model)
-
-                // Set interpolation mode for smoother animations
-                this.animationMixer.timeScale = 1.0
-
-                this.animations.forEach((clip) => {
-                    // Check if this animation scene is enabled
-                    const isEnabled = this.isAnimationEnabled(clip.name)
-                    if (!isEnabled) {
-                        return
-                    }
-
-                    const action = this.animationMixer.clipAction(clip)
-
-                    // Disable all automatic looping and time management
-                    action.setLoop(THREE.LoopOnce, 1)
-                    action.clampWhenFinished = false
-                    action.setEffectiveWeight(1.0)
-                    action.setEffectiveTimeScale(0) // Disable automatic time progression
-                    action.enabled = true
-
-                    // Store action for manual time control
-                    this.animationActions.push({
-                        action: action,
-                        duration: clip.duration,
-                        name: clip.name
-                    })
-
-                    action.play()
-                })
-
-                // Calculate total animation duration (use the longest clip)
-                this.animationDuration = Math.max(...this.animationActions.map(a => a.duration))
-            }
-            return
-        }
-
-        this.animationMixer = new THREE.AnimationMixer(this.skinnedMesh)
+        // Node animations are applied to the model itself, skinned animations to the SkinnedMesh
+        const root = this.skinnedMesh || this.model
+        this.animationMixer = new THREE.AnimationMixer(root)
 
         // Set interpolation mode for smoother animations
         this.animationMixer.timeScale = 1.0
 
-        if (this.animations.length > 0) {
-            this.animations.forEach((clip) => {
-                // Check if this animation scene is enabled
-                const isEnabled = this.isAnimationEnabled(clip.name)
-                if (!isEnabled) {
-                    return
-                }
+        // Keep the current blend when the actions are rebuilt (e.g. by setTrackMask)
+        const previousWeights = this.blendTree ? this.blendTree.getTargetWeights() : null
+        this.blendTree = new AnimationBlendTree(this.animationMixer, {
+            defaultDuration: this.options.crossFadeDuration
+        })
 
-                const action = this.animationMixer.clipAction(clip)
+        const ringNodes = this.getRingNodeSets()
 
-                // Disable all automatic looping and time management
-                action.setLoop(THREE.LoopOnce, 1)
-                action.clampWhenFinished = false
-                action.setEffectiveWeight(1.0)
-                action.setEffectiveTimeScale(0) // Disable automatic time progression
-                action.enabled = true
+        this.animations.forEach((clip) => {
+            // Tracks targeting disabled rings / masked nodes are never bound
+            const maskedClip = this.maskClip(clip, root, ringNodes)
+            if (!maskedClip) {
+                return
+            }
 
-                // Store action for manual time control
-                this.animationActions.push({
-                    action: action,
-                    duration: clip.duration,
-                    name: clip.name
-                })
+            // Actions don't advance on their own; update() writes time and weight every frame
+            this.animationActions.push(this.blendTree.addClip(maskedClip))
+        })
 
-                action.play()
-            })
+        if (this.animationActions.length === 0) return
 
-            // Calculate total animation duration (use the longest clip)
-            if (this.animationActions.length > 0) {
-                this.animationDuration = Math.max(...this.animationActions.map(a => a.duration))
-            }
+        this.blendTree.addState('all', { clips: this.animationActions.map(({ name }) => name) })
+        Object.entries(this.options.blendStates).forEach(([name, config]) => {
+            this.blendTree.addState(name, config)
+        })
+
+        this.blendTree.crossFadeTo(this.options.initialBlendState, 0)
+
+        if (previousWeights) {
+            const baseWeights = {}
+            Object.entries(previousWeights).forEach(([name, weight]) => {
+                const state = this.blendTree.getState(name)
+                if (!state) return
+
+                if (state.additive) {
+                    this.blendTree.setLayerWeight(name, weight, 0)
+                } else {
+                    baseWeights[name] = weight
+                }
+            })
+            this.blendTree.blendTo(baseWeights, 0)
         }
+
+        // Calculate total animation duration (use the longest clip)
+        this.animationDuration = Math.max(...this.animationActions.map(a => a.duration))
     }
     
     update(deltaTime) {
@@ -419,7 +650,8 @@ export class HeroParticleSystem {
         const safeDelta = Math.max(ultraSmoothDelta, 0.001)
 
         // Enhanced animation time management with dynamic speed control
-        if (!this.isAnimationComplete) {
+        // (skipped while an external timeline drives the time through seek())
+        if (!this.isAnimationComplete && !this.isTimeDriven) {
             const baseSpeed = 0.4
             const dynamicSpeedVariation = Math.sin(this.customAnimationTime * 0.3) * 0.15 + 1.0
             const finalSpeed = baseSpeed * this.animationSpeed * dynamicSpeedVariation
@@ -428,68 +660,27 @@ export class HeroParticleSystem {
             // Check if animation is complete
             if (this.animationDuration > 0 && this.customAnimationTime >= this.animationDuration) {
                 this.customAnimationTime = this.animationDuration
-                this.isAnimationComplete = true
-                console.log('🎬 Hero粒子动画播放完成')
-
-                // Trigger completion callback
-                if (this.onAnimationComplete) {
-                    this.onAnimationComplete()
-                }
+                this.completeAnimation()
             }
         }
 
         if (this.animationMixer && this.animationActions.length > 0) {
-            // Save current state of smallest ring objects before animation update
-            const savedStates = this.smallestRingObjects.map(obj => ({
-                object: obj,
-                position: obj.position.clone(),
-                rotation: obj.rotation.clone(),
-                quaternion: obj.quaternion.clone(),
-                scale: obj.scale.clone()
-            }))
-
-            // Enhanced animation control with blending and dynamic modes
-            this.updateAnimationBlending(ultraSmoothDelta)
-            
-            this.animationActions.forEach(({ action, duration }, index) => {
-                // Use current animation time directly (no looping)
-                const animationTime = Math.min(this.customAnimationTime, duration)
-
-                // Apply blending weights based on current mode
-                let weight = 1.0
-                if (this.currentMode === this.animationModes.BLEND && this.animationActions.length > 1) {
-                    if (index === this.animationBlending.targetPrimary) {
-                        weight = this.animationBlending.primaryWeight
-                    } else if (index === this.animationBlending.targetSecondary) {
-                        weight = this.animationBlending.secondaryWeight
-                    } else {
-                        weight = 0.0
-                    }
-                } else if (this.currentMode === this.animationModes.DYNAMIC) {
-                    // Dynamic weight based on time and animation characteristics (no looping)
-                    if (duration > 0) {
-                        const timePhase = Math.min(this.customAnimationTime / duration, 1.0)
-                        weight = 0.5 + 0.5 * Math.sin(timePhase * Math.PI * 2.0 + index * Math.PI * 0.5)
-                    }
-                }
-
-                action.setEffectiveWeight(weight)
-                action.time = animationTime
-            })
+            // Advance crossfades and write weights / time (no looping) to every action
+            this.blendTree.update(ultraSmoothDelta, this.customAnimationTime)
 
             // Apply the time changes without automatic progression
-            // IMPORTANT: This resets ALL objects to their initial state!
             this.animationMixer.update(0)
-
-            // Restore the saved state of smallest ring objects
-            savedStates.forEach(({ object, position, rotation, quaternion, scale }) => {
-                object.position.copy(position)
-                object.rotation.copy(rotation)
-                object.quaternion.copy(quaternion)
-                object.scale.copy(scale)
-            })
         }
 
+        // Refresh bone / node matrices so the particle cloud follows the animation
+        this.updateSkinning()
+        this.updateNodeTransforms()
+
+        this.updateMorph(ultraSmoothDelta)
+
+        // Step the GPGPU simulation towards the freshly animated targets
+        this.updateSimulation(ultraSmoothDelta)
+
         // Update particle system uniforms
         if (this.particleMaterial && this.particleMaterial.uniforms) {
             if (this.particleMaterial.uniforms.uTime) {
@@ -525,32 +716,207 @@ export class HeroParticleSystem {
         }
     }
     
-    updateAnimationBlending(deltaTime) {
-        if (!this.animationBlending.enabled || this.animationActions.length < 2) return
-        
-        // Smooth blending transitions
-        const blendSpeed = this.animationBlending.blendSpeed * deltaTime
-        
-        // Auto-cycle through animations in blend mode
-        if (this.currentMode === this.animationModes.BLEND) {
-            const cycleDuration = 8.0 // seconds per blend cycle
-            const cyclePhase = (this.customAnimationTime / cycleDuration) % 1.0
-            
-            if (cyclePhase < 0.4) {
-                // Blend from primary to secondary
-                this.animationBlending.primaryWeight = Math.max(0.0, this.animationBlending.primaryWeight - blendSpeed)
-                this.animationBlending.secondaryWeight = Math.min(1.0, this.animationBlending.secondaryWeight + blendSpeed)
-            } else if (cyclePhase > 0.6) {
-                // Blend back from secondary to primary
-                this.animationBlending.primaryWeight = Math.min(1.0, this.animationBlending.primaryWeight + blendSpeed)
-                this.animationBlending.secondaryWeight = Math.max(0.0, this.animationBlending.secondaryWeight - blendSpeed)
+    updateSkinning() {
+        if (!this.skinnedMesh || !this.boneTexture) return
+        if (!this.particleMaterial || !this.particleMaterial.uniforms || !this.particleMaterial.uniforms.uBoneTexture) return
+
+        // Bones are usually not rendered, so their world matrices have to be refreshed manually
+        this.model.updateMatrixWorld(true)
+        this.processor.updateBoneTexture(this.boneTexture, this.skinnedMesh.skeleton)
+        this.particleMaterial.uniforms.uSkinnedMeshMatrix.value.copy(this.skinnedMesh.matrixWorld)
+    }
+    
+    updateNodeTransforms() {
+        if (!this.nodeMatrixTexture || this.particleNodes.length === 0) return
+
+        this.model.updateMatrixWorld(true)
+        this.processor.updateNodeMatrixTexture(this.nodeMatrixTexture, this.particleNodes)
+    }
+    
+    updateSimulation(deltaTime) {
+        if (!this.gpuCompute) return
+
+        const velocityUniforms = this.velocityVariable.material.uniforms
+        velocityUniforms.uTime.value += deltaTime
+        velocityUniforms.uDeltaTime.value = deltaTime
+        velocityUniforms.uMousePosition.value.copy(this.mousePosition)
+        velocityUniforms.uMouseStrength.value = this.magneticField.enabled ? this.mouseStrength : 0.0
+        velocityUniforms.uSnapToTarget.value = this.simulationNeedsSnap ? 1.0 : 0.0
+
+        this.gpuCompute.compute()
+        this.simulationNeedsSnap = false
+
+        this.particleMaterial.uniforms.uSimPositions.value = this.gpuCompute.getCurrentRenderTarget(this.positionVariable).texture
+    }
+
+    // Tune the simulation at runtime, e.g. setSimulationParams({ stiffness: 2.0, curlStrength: 1.0 })
+    setSimulationParams(params) {
+        Object.assign(this.simulation, params)
+
+        if (!this.gpuCompute) return
+
+        const uniforms = this.velocityVariable.material.uniforms
+        uniforms.uStiffness.value = this.simulation.stiffness
+        uniforms.uDamping.value = this.simulation.damping
+        uniforms.uCurlStrength.value = this.simulation.curlStrength
+        uniforms.uCurlScale.value = this.simulation.curlScale
+        uniforms.uMouseRadius.value = this.simulation.mouseRadius
+        uniforms.uMouseForce.value = this.simulation.mouseForce
+    }
+    
+    /**
+     * 设置形变目标布局
+     * @param {THREE.Object3D|Float32Array} source 另一个模型（按表面面积采样）或世界空间xyz坐标数组
+     * @returns {boolean} 是否设置成功
+     */
+    setMorphTarget(source) {
+        if (!this.particleMaterial || !this.particleMaterial.uniforms || this.particleCount === 0) {
+            console.warn('⚠️ 粒子系统未就绪，无法设置形变目标')
+            return false
+        }
+
+        let positions = null
+
+        if (source && source.isObject3D) {
+            const meshes = this.collectParticleMeshes(source)
+            if (meshes.length === 0) {
+                console.warn('⚠️ 形变目标中没有可用的网格')
+                return false
             }
-            
-            // Switch targets when blend is complete
-            if (cyclePhase > 0.9 && this.animationBlending.primaryWeight > 0.9) {
-                this.animationBlending.targetPrimary = (this.animationBlending.targetPrimary + 1) % this.animationActions.length
-                this.animationBlending.targetSecondary = (this.animationBlending.targetSecondary + 1) % this.animationActions.length
+
+            // Surface sampling gives exactly one target point per particle, whatever the vertex count
+            source.updateMatrixWorld(true)
+            positions = this.processor.sampleMeshesInWorldSpace(meshes, {
+                budget: this.particleCount,
+                seed: this.options.samplingSeed,
+                method: 'surface'
+            }).positions
+        } else if (source && source.length !== undefined) {
+            positions = source
+        } else {
+            console.warn('⚠️ 不支持的形变目标类型')
+            return false
+        }
+
+        const sourceCount = Math.floor(positions.length / 3)
+        if (sourceCount !== this.particleCount) {
+            console.log(`🔀 形变目标粒子数 ${sourceCount} → ${this.particleCount}`)
+            positions = this.processor.fitPositionsToCount(positions, this.particleCount, this.options.samplingSeed)
+        }
+
+        if (this.morphTargetTexture) {
+            this.morphTargetTexture.dispose()
+        }
+        this.morphTargetShape = null
+        this.morphTargetTexture = this.processor.createPositionTexture(positions, this.textureWidth, this.textureHeight, this.particleCount)
+        this.particleMaterial.uniforms.uMorphTargetPositions.value = this.morphTargetTexture
+
+        // Compile the morph path into the render and simulation shaders on first use
+        this.getTransformMaterials().forEach((material) => {
+            if (material.defines.USE_MORPH_TARGET === undefined) {
+                material.defines.USE_MORPH_TARGET = ''
+                material.needsUpdate = true
+            }
+        })
+
+        console.log('✅ 形变目标已设置')
+        return true
+    }
+
+    /**
+     * 将粒子聚合成文字或SVG路径形状
+     * @param {Object} shape { text, font, mode } 或 { svgPath, viewBox, mode }，以及 width / center / quaternion / depth
+     * @param {number} duration 形变时长（秒），默认使用 shape.duration 或 2.5
+     */
+    formShape(shape, duration = shape.duration || 2.5) {
+        // Scrubbing back and forth past the end re-forms the same shape: reuse the uploaded target
+        if (this.morphTargetShape !== shape) {
+            const positions = this.getShapePositions(shape)
+            if (!positions || !this.setMorphTarget(positions)) {
+                return false
             }
+            this.morphTargetShape = shape
+        }
+
+        this.morphTo(1.0, duration)
+        console.log(`✨ 粒子开始聚合为目标形状: ${shape.text || 'SVG'}`)
+        return true
+    }
+
+    // Generated shape positions, cached per shape object and particle count
+    getShapePositions(shape) {
+        const cached = this.shapeCache.get(shape)
+        if (cached && cached.count === this.particleCount) {
+            return cached.positions
+        }
+
+        if (!this.shapeGenerator) {
+            this.shapeGenerator = new TargetShapeGenerator({ seed: this.options.samplingSeed })
+        }
+
+        const shapeOptions = { ...shape, count: this.particleCount }
+        let positions = null
+
+        if (shape.text) {
+            positions = this.shapeGenerator.fromText(shape.text, shapeOptions)
+        } else if (shape.svgPath) {
+            positions = this.shapeGenerator.fromSVGPath(shape.svgPath, shapeOptions)
+        } else {
+            console.warn('⚠️ 目标形状需要 text 或 svgPath')
+            return null
+        }
+
+        if (positions) {
+            this.shapeCache.set(shape, { count: this.particleCount, positions: positions })
+        }
+        return positions
+    }
+
+    // Materials that include particles.transform.js
+    getTransformMaterials() {
+        const materials = [this.particleMaterial]
+        if (this.gpuCompute) {
+            materials.push(this.velocityVariable.material, this.positionVariable.material)
+        }
+        return materials
+    }
+
+    // Manual control, e.g. bound to scroll (0 = model shape, 1 = morph target)
+    setMorphProgress(progress) {
+        this.morphState.active = false
+        this.morphState.progress = THREE.MathUtils.clamp(progress, 0.0, 1.0)
+        this.applyMorphProgress()
+    }
+
+    // Animate the morph progress to `progress` over `duration` seconds
+    morphTo(progress = 1.0, duration = 2.0) {
+        Object.assign(this.morphState, {
+            from: this.morphState.progress,
+            to: THREE.MathUtils.clamp(progress, 0.0, 1.0),
+            duration: Math.max(duration, 0.0),
+            elapsed: 0.0,
+            active: true
+        })
+    }
+
+    updateMorph(deltaTime) {
+        const state = this.morphState
+        if (!state.active) return
+
+        state.elapsed += deltaTime
+        const t = state.duration > 0 ? Math.min(state.elapsed / state.duration, 1.0) : 1.0
+        state.progress = THREE.MathUtils.lerp(state.from, state.to, THREE.MathUtils.smootherstep(t, 0, 1))
+
+        if (t >= 1.0) {
+            state.active = false
+        }
+
+        this.applyMorphProgress()
+    }
+
+    applyMorphProgress() {
+        if (this.particleMaterial && this.particleMaterial.uniforms && this.particleMaterial.uniforms.uMorphProgress) {
+            this.particleMaterial.uniforms.uMorphProgress.value = this.morphState.progress
         }
     }
     
@@ -559,10 +925,20 @@ export class HeroParticleSystem {
         this.animationSpeed = Math.max(0.1, Math.min(3.0, speed))
     }
 
-    setAnimationMode(mode) {
-        if (Object.values(this.animationModes).includes(mode)) {
-            this.currentMode = mode
+    // SINGLE plays the first clip, BLEND the first two, DYNAMIC / SEQUENCE every clip at once
+    setAnimationMode(mode, duration = this.options.crossFadeDuration) {
+        if (!Object.values(this.animationModes).includes(mode)) return
+
+        if (this.blendTree && this.animationActions.length > 0) {
+            if (mode === this.animationModes.SINGLE) {
+                this.blendTree.crossFadeTo(this.animationActions[0].name, duration)
+            } else if (mode === this.animationModes.BLEND) {
+                this.blendTree.blendTo(this.getBlendWeights(0, this.animationActions.length > 1 ? 1 : null), duration)
+            } else {
+                this.blendTree.crossFadeTo('all', duration)
+            }
         }
+        this.currentMode = mode
     }
 
     // Set callback function to be called when animation completes
@@ -575,20 +951,108 @@ export class HeroParticleSystem {
         return this.isAnimationComplete
     }
 
+    completeAnimation() {
+        this.isAnimationComplete = true
+        console.log('🎬 Hero粒子动画播放完成')
+
+        // Gather the ring cloud into the brand wordmark
+        if (this.options.endShape) {
+            this.formShape(this.options.endShape)
+        }
+
+        // Trigger completion callback
+        if (this.onAnimationComplete) {
+            this.onAnimationComplete()
+        }
+    }
+
+    // Follow an external timeline (e.g. scroll scrubbing); the internal clock stops advancing
+    seek(time) {
+        this.isTimeDriven = true
+
+        const duration = this.animationDuration
+        this.customAnimationTime = duration > 0 ? THREE.MathUtils.clamp(time, 0, duration) : Math.max(time, 0)
+
+        const reachedEnd = duration > 0 && time >= duration
+        if (reachedEnd && !this.isAnimationComplete) {
+            this.completeAnimation()
+        } else if (!reachedEnd && this.isAnimationComplete) {
+            // Scrubbed back from the end: release the wordmark again
+            this.isAnimationComplete = false
+            if (this.options.endShape) {
+                this.morphTo(0.0, 1.0)
+            }
+        }
+    }
+
+    // Subscribe to a shared Timeline; its time replaces the internal clock
+    attachTimeline(timeline) {
+        this.detachTimeline()
+        this.timeline = timeline
+        this.unsubscribeTimeline = timeline.subscribe((time) => this.seek(time))
+    }
+
+    detachTimeline() {
+        if (this.unsubscribeTimeline) {
+            this.unsubscribeTimeline()
+            this.unsubscribeTimeline = null
+        }
+        this.timeline = null
+        this.isTimeDriven = false
+    }
+
     // Reset animation to start from beginning
     resetAnimation() {
         this.customAnimationTime = 0
         this.isAnimationComplete = false
+        this.simulationNeedsSnap = true
+
+        // Dissolve the end-of-timeline wordmark back into the rings
+        if (this.options.endShape) {
+            this.setMorphProgress(0.0)
+        }
         console.log('🔄 Hero粒子动画已重置')
     }
     
-    blendToAnimation(primaryIndex, secondaryIndex = null) {
-        if (primaryIndex >= 0 && primaryIndex < this.animationActions.length) {
-            this.animationBlending.targetPrimary = primaryIndex
-            this.animationBlending.targetSecondary = secondaryIndex !== null ? 
-                secondaryIndex : (primaryIndex + 1) % this.animationActions.length
-            this.currentMode = this.animationModes.BLEND
+    // Crossfade the base layer to one state (a clip name, 'all' or one of options.blendStates)
+    crossFadeTo(name, seconds = this.options.crossFadeDuration) {
+        if (!this.blendTree || !this.blendTree.crossFadeTo(name, seconds)) return false
+
+        this.currentMode = name === 'all' ? this.animationModes.DYNAMIC : this.animationModes.SINGLE
+        return true
+    }
+
+    // Blend two states (clip index or state name); secondaryWeight is the secondary's share after normalization
+    blendToAnimation(primary, secondary = null, secondaryWeight = 0.5, seconds = this.options.crossFadeDuration) {
+        if (!this.blendTree) return false
+
+        const weights = this.getBlendWeights(primary, secondary, secondaryWeight)
+        if (!weights || !this.blendTree.blendTo(weights, seconds)) return false
+
+        this.currentMode = this.animationModes.BLEND
+        return true
+    }
+
+    getBlendWeights(primary, secondary = null, secondaryWeight = 0.5) {
+        const toStateName = (state) => typeof state === 'number'
+            ? (this.animationActions[state] || {}).name
+            : state
+
+        const primaryName = toStateName(primary)
+        if (!primaryName) return null
+
+        const secondaryName = secondary !== null ? toStateName(secondary) : null
+        if (!secondaryName || secondaryName === primaryName) {
+            return { [primaryName]: 1.0 }
         }
+
+        const share = THREE.MathUtils.clamp(secondaryWeight, 0, 1)
+        return { [primaryName]: 1.0 - share, [secondaryName]: share }
+    }
+
+    // Fade an additive layer from options.blendStates in or out
+    setBlendLayerWeight(name, weight, seconds = this.options.crossFadeDuration) {
+        return this.blendTree ? this.blendTree.setLayerWeight(name, weight, seconds) : false
     }
     
     // Mouse interaction methods
@@ -704,9 +1168,34 @@ export class HeroParticleSystem {
             this.particleGeometry.dispose()
             this.particleMaterial.dispose()
         }
+
+        if (this.boneTexture) {
+            this.boneTexture.dispose()
+        }
+
+        if (this.nodeMatrixTexture) {
+            this.nodeMatrixTexture.dispose()
+        }
+
+        if (this.gpuCompute) {
+            this.gpuCompute.dispose()
+            this.gpuCompute = null
+        }
+
+        if (this.morphTargetTexture) {
+            this.morphTargetTexture.dispose()
+        }
+        this.shapeCache.clear()
         
+        if (this.blendTree) {
+            this.blendTree.dispose()
+            this.blendTree = null
+        }
+
         if (this.animationMixer) {
             this.animationMixer.stopAllAction()
         }
+
+        this.detachTimeline()
     }
 }
\ No newline at end of file
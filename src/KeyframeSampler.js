@@ -0,0 +1,265 @@
+import * as THREE from 'three'
+
+// 每条轨迹上次命中的关键帧区间（以 times 数组为键，轨迹数据被复制时仍可共享）
+const keyframeCursors = new WeakMap()
+
+/**
+ * 关键帧采样器 - 按 glTF 规范对提取出的轨迹数据取值
+ *
+ * 功能：
+ * 1. 识别轨迹的插值方式：LINEAR / STEP / CUBICSPLINE
+ * 2. LINEAR：向量线性插值，四元数球面插值
+ * 3. STEP：保持上一关键帧的值直到下一关键帧
+ * 4. CUBICSPLINE：使用入/出切线的 Hermite 样条，四元数结果归一化
+ * 5. 关键帧查找：优先检查上次命中的区间及其下一个区间（顺序播放时 O(1)），否则二分查找
+ *
+ * 轨迹数据格式（由 AnimationTrackExtractor / CameraAnimationMapper 记录）：
+ *   { times, values, valueSize, interpolation }
+ * CUBICSPLINE 的 values 每个关键帧依次存放 [入切线, 值, 出切线]，valueSize 为单个值的分量数
+ */
+export class KeyframeSampler {
+    /**
+     * 获取 KeyframeTrack 的 glTF 插值方式
+     * GLTFLoader 为 CUBICSPLINE 轨迹设置了自定义插值器，getInterpolation() 无法识别，需要单独判断
+     * @param {THREE.KeyframeTrack} track
+     * @returns {string} 'LINEAR' | 'STEP' | 'CUBICSPLINE'
+     */
+    static getInterpolation(track) {
+        if (track.createInterpolant && track.createInterpolant.isInterpolantFactoryMethodGLTFCubicSpline) {
+            return 'CUBICSPLINE'
+        }
+
+        return KeyframeSampler.normalizeInterpolation(track.getInterpolation())
+    }
+
+    /**
+     * 将 three.js 插值常量（旧数据中记录的值）转换为 glTF 名称
+     */
+    static normalizeInterpolation(interpolation) {
+        switch (interpolation) {
+            case 'STEP':
+            case THREE.InterpolateDiscrete:
+                return 'STEP'
+            case 'CUBICSPLINE':
+                return 'CUBICSPLINE'
+            default:
+                return 'LINEAR'
+        }
+    }
+
+    /**
+     * 单个值的分量数（CUBICSPLINE 轨迹每个关键帧存放三组值）
+     * @param {THREE.KeyframeTrack} track
+     */
+    static getValueSize(track) {
+        const size = track.getValueSize()
+        return KeyframeSampler.getInterpolation(track) === 'CUBICSPLINE' ? size / 3 : size
+    }
+
+    /**
+     * 为由提取数据重新生成的 KeyframeTrack 设置插值方式
+     * @param {THREE.KeyframeTrack} track
+     * @param {string} interpolation 'LINEAR' | 'STEP' | 'CUBICSPLINE'
+     * @returns {THREE.KeyframeTrack}
+     */
+    static applyInterpolation(track, interpolation) {
+        switch (KeyframeSampler.normalizeInterpolation(interpolation)) {
+            case 'STEP':
+                track.setInterpolation(THREE.InterpolateDiscrete)
+                break
+            case 'CUBICSPLINE': {
+                const isQuaternion = track instanceof THREE.QuaternionKeyframeTrack
+                track.createInterpolant = function (result) {
+                    return new KeyframeSamplerInterpolant(this.times, this.values, this.getValueSize() / 3, result, 'CUBICSPLINE', isQuaternion)
+                }
+                // 与 GLTFLoader 使用相同的标记，getInterpolation() 可识别
+                track.createInterpolant.isInterpolantFactoryMethodGLTFCubicSpline = true
+                break
+            }
+            default:
+                track.setInterpolation(THREE.InterpolateLinear)
+        }
+        return track
+    }
+
+    /**
+     * 按轨迹插值方式取值
+     * @param {Object} track 轨迹数据
+     * @param {number} time 时间（秒）
+     * @param {number[]} result 输出数组（可选）
+     * @returns {number[]|null} 长度为 valueSize 的结果
+     */
+    static sample(track, time, result = []) {
+        if (!track || !track.times || !track.values || track.times.length === 0) {
+            return null
+        }
+
+        const valueSize = track.valueSize || 3
+        const interpolation = KeyframeSampler.normalizeInterpolation(track.interpolation)
+        const times = track.times
+        const last = times.length - 1
+
+        // 时间区间外：取首/尾关键帧的值
+        if (time <= times[0] || last === 0) {
+            return KeyframeSampler.copyKeyframe(track, 0, valueSize, interpolation, result)
+        }
+        if (time >= times[last]) {
+            return KeyframeSampler.copyKeyframe(track, last, valueSize, interpolation, result)
+        }
+
+        const i = KeyframeSampler.findKeyframe(times, time)
+
+        if (interpolation === 'STEP') {
+            return KeyframeSampler.copyKeyframe(track, i, valueSize, interpolation, result)
+        }
+
+        const t0 = times[i]
+        const t1 = times[i + 1]
+        const alpha = (time - t0) / (t1 - t0)
+
+        if (interpolation === 'CUBICSPLINE') {
+            return KeyframeSampler.hermite(track.values, i, alpha, t1 - t0, valueSize, result)
+        }
+
+        const i0 = i * valueSize
+        const i1 = (i + 1) * valueSize
+        for (let c = 0; c < valueSize; c++) {
+            result[c] = THREE.MathUtils.lerp(track.values[i0 + c], track.values[i1 + c], alpha)
+        }
+        return result
+    }
+
+    /**
+     * 四元数轨迹取值：LINEAR 使用球面插值，CUBICSPLINE 结果归一化
+     * @param {Object} track 轨迹数据
+     * @param {number} time 时间（秒）
+     * @param {THREE.Quaternion} target 输出四元数（可选）
+     * @returns {THREE.Quaternion|null}
+     */
+    static sampleQuaternion(track, time, target = new THREE.Quaternion()) {
+        const interpolation = KeyframeSampler.normalizeInterpolation(track && track.interpolation)
+
+        if (interpolation === 'LINEAR' && track && track.times && track.times.length > 1) {
+            const times = track.times
+            const last = times.length - 1
+
+            if (time > times[0] && time < times[last]) {
+                const i = KeyframeSampler.findKeyframe(times, time)
+                const alpha = (time - times[i]) / (times[i + 1] - times[i])
+
+                const result = [0, 0, 0, 1]
+                THREE.Quaternion.slerpFlat(result, 0, track.values, i * 4, track.values, (i + 1) * 4, alpha)
+                return target.fromArray(result)
+            }
+        }
+
+        const result = KeyframeSampler.sample({ ...track, valueSize: 4 }, time)
+        if (!result) return null
+
+        return target.fromArray(result).normalize()
+    }
+
+    /**
+     * 找到 time 所在区间的起始关键帧索引 i（times[i] <= time < times[i + 1]）
+     * 调用方保证 times[0] < time < times[times.length - 1]
+     */
+    static findKeyframe(times, time) {
+        const lastInterval = times.length - 2
+        const cursor = keyframeCursors.get(times)
+
+        if (cursor !== undefined && cursor <= lastInterval && times[cursor] <= time) {
+            // 仍在上次的区间内
+            if (time < times[cursor + 1]) {
+                return cursor
+            }
+            // 顺序播放时通常只前进到下一个区间
+            if (cursor < lastInterval && time < times[cursor + 2]) {
+                keyframeCursors.set(times, cursor + 1)
+                return cursor + 1
+            }
+        }
+
+        // 二分查找最后一个 times[i] <= time 的区间
+        let low = 0
+        let high = lastInterval
+        while (low < high) {
+            const mid = (low + high + 1) >> 1
+            if (times[mid] <= time) {
+                low = mid
+            } else {
+                high = mid - 1
+            }
+        }
+
+        keyframeCursors.set(times, low)
+        return low
+    }
+
+    static copyKeyframe(track, index, valueSize, interpolation, result) {
+        // CUBICSPLINE 每个关键帧为 [入切线, 值, 出切线]，取中间的值
+        const offset = interpolation === 'CUBICSPLINE'
+            ? index * valueSize * 3 + valueSize
+            : index * valueSize
+
+        for (let c = 0; c < valueSize; c++) {
+            result[c] = track.values[offset + c]
+        }
+        return result
+    }
+
+    /**
+     * glTF CUBICSPLINE：p(t) = (2t³-3t²+1)p0 + (t³-2t²+t)m0 + (-2t³+3t²)p1 + (t³-t²)m1
+     * 其中 m0 = 出切线_k * Δt，m1 = 入切线_k+1 * Δt
+     */
+    static hermite(values, i, t, deltaTime, valueSize, result) {
+        const tt = t * t
+        const ttt = tt * t
+
+        const s2 = -2 * ttt + 3 * tt
+        const s3 = ttt - tt
+        const s0 = 1 - s2
+        const s1 = s3 - tt + t
+
+        const stride = valueSize * 3
+        const offset0 = i * stride
+        const offset1 = offset0 + stride
+
+        for (let c = 0; c < valueSize; c++) {
+            const p0 = values[offset0 + valueSize + c]
+            const m0 = values[offset0 + valueSize * 2 + c] * deltaTime
+            const p1 = values[offset1 + valueSize + c]
+            const m1 = values[offset1 + c] * deltaTime
+
+            result[c] = s0 * p0 + s1 * m0 + s2 * p1 + s3 * m1
+        }
+        return result
+    }
+}
+
+/**
+ * 供 three.js AnimationMixer 使用的插值器，按 KeyframeSampler 的规则取值
+ * 用于由提取数据重新生成的 KeyframeTrack（GLTFLoader 自带的 CUBICSPLINE 插值器未导出）
+ */
+export class KeyframeSamplerInterpolant extends THREE.Interpolant {
+    constructor(parameterPositions, sampleValues, sampleSize, resultBuffer, interpolation, isQuaternion) {
+        super(parameterPositions, sampleValues, sampleSize, resultBuffer)
+
+        this.track = {
+            times: parameterPositions,
+            values: sampleValues,
+            valueSize: sampleSize,
+            interpolation: interpolation
+        }
+        this.isQuaternion = isQuaternion
+        this.quaternion = new THREE.Quaternion()
+    }
+
+    evaluate(time) {
+        if (this.isQuaternion) {
+            KeyframeSampler.sampleQuaternion(this.track, time, this.quaternion).toArray(this.resultBuffer)
+        } else {
+            KeyframeSampler.sample(this.track, time, this.resultBuffer)
+        }
+        return this.resultBuffer
+    }
+}
@@ -1,49 +1,74 @@
 import * as THREE from 'three'
-import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js'
-import { DRACOLoader } from 'three/examples/jsm/loaders/DRACOLoader.js'
+import { RingRegistry } from './RingRegistry.js'
+import { AssetService } from './AssetService.js'
 
 export class MasterAnimationController {
-    constructor(camera, scene) {
+    /**
+     * @param {THREE.Camera} camera
+     * @param {THREE.Scene} scene
+     * @param {Object} options
+     * @param {Object} options.retiming 重定时配置（见 setRetiming）
+     * @param {Object|false} options.cameraBinding 相机绑定配置（见 bindCamera），false 表示加载后不自动绑定
+     * @param {RingRegistry} options.ringRegistry 圆环注册表，默认使用 DEFAULT_RING_CONFIG
+     * @param {AssetService} options.assetService 共享的资源服务（见 AssetService.js），省略时单独创建
+     * @param {AssetConfig|Object} options.assets 未传入 assetService 时使用的资源配置（见 AssetConfig.js）
+     * @param {string} options.model 主文件在模型清单中的名称，或文件路径
+     */
+    constructor(camera, scene, options = {}) {
         this.camera = camera
         this.scene = scene
+        this.assetService = AssetService.from(options.assetService, { assets: options.assets })
+        this.modelName = options.model || 'master'
         
         // 动画控制状态
         this.masterTime = 0
         this.isPlaying = false
-        this.duration = 7.0  // 统一7秒时长
+        this.duration = 0  // 加载后由动画片段推导（见 computeTimings）
         this.hasCompleted = false
         
+        // 重定时：主时间 -> 各片段时间的映射
+        this.retiming = this.normalizeRetiming(options.retiming)
+        this.timeScale = 1.0  // 主时间到源时间的缩放（拉伸到目标时长时 ≠ 1）
+        
+        // 渲染相机绑定到GLB中的相机节点
+        this.cameraBindingOptions = options.cameraBinding !== undefined ? options.cameraBinding : {}
+        this.cameraBinding = null
+        
         // 主文件动画数据
         this.masterModel = null
         this.masterAnimationMixer = null
         this.masterAnimationActions = []
         
-        // 相机动画数据
+        // 相机动画数据（支持多个相机，cameraAction 为第一个）
+        this.cameraActions = []
         this.cameraAction = null
         this.initialCameraPosition = null
         this.initialCameraTarget = null
         
         // 圆环动画数据
         this.ringActions = {}
+        this.ringRegistry = options.ringRegistry || new RingRegistry()
         
-        this.setupLoader()
-    }
-    
-    setupLoader() {
-        const dracoLoader = new DRACOLoader()
-        dracoLoader.setDecoderPath('./public/draco/')
+        // 其他对象（空物体、普通网格）动画数据
+        this.objectActions = {}
         
-        this.loader = new GLTFLoader()
-        this.loader.setDRACOLoader(dracoLoader)
+        // 逐轨迹分类结果（见 classifyTracks）
+        this.trackBreakdown = []
+        
+        // 滚动驱动（scroll scrubbing）状态
+        this.scrollBinding = null
+        
+        // 统一时间轴（见 Timeline.js），附加后由时间轴驱动 masterTime
+        this.timeline = null
+        this.unsubscribeTimeline = null
     }
     
     async loadMasterFile() {
         try {
             console.log('🎬 开始加载主文件动画系统...')
             
-            const gltf = await new Promise((resolve, reject) => {
-                this.loader.load('/LOST_cut2_v31-transformed.glb', resolve, undefined, reject)
-            })
+            // 场景会被加入 Scene 并由相机绑定读取，使用独立副本，不影响缓存中的 GLTF
+            const gltf = await this.assetService.loadGLTF(this.modelName, { clone: true })
             
             this.masterModel = gltf.scene
             console.log('✅ 主文件加载完成')
@@ -59,6 +84,10 @@ export class MasterAnimationController {
             // 提取相机起始位置
             await this.extractInitialCameraPosition()
             
+            if (this.cameraBindingOptions) {
+                this.bindCamera(this.cameraBindingOptions)
+            }
+            
             console.log('🎯 主文件动画系统初始化完成')
             return true
             
@@ -83,51 +112,235 @@ export class MasterAnimationController {
         animations.forEach((animation, index) => {
             console.log(`  📽️ 动画 ${index + 1}: ${animation.name} (时长: ${animation.duration.toFixed(2)}s)`)
             
-            const action = this.masterAnimationMixer.clipAction(animation)
-            
-            // 配置动画播放模式
-            action.setLoop(THREE.LoopOnce, 1)  // 只播放一次
-            action.clampWhenFinished = true    // 停在最后一帧
-            action.setEffectiveWeight(1.0)
-            action.setEffectiveTimeScale(0)    // 禁用自动时间进度
-            action.enabled = true
-            
-            // 分类存储动画
-            if (animation.name.toLowerCase().includes('action') && 
-                !animation.name.includes('Scenes_B')) {
-                // 这是相机动画
-                this.cameraAction = {
+            // 按轨迹实际驱动的节点分类，混合片段拆分为多个子片段
+            this.splitClipByTarget(animation).forEach((group) => {
+                const action = this.masterAnimationMixer.clipAction(group.clip)
+                
+                // 配置动画播放模式
+                action.setLoop(THREE.LoopOnce, 1)  // 只播放一次
+                action.clampWhenFinished = true    // 停在最后一帧
+                action.setEffectiveWeight(1.0)
+                action.setEffectiveTimeScale(0)    // 禁用自动时间进度
+                action.enabled = true
+                
+                const entry = {
                     action: action,
-                    duration: animation.duration,
-                    name: animation.name,
-                    animation: animation
+                    duration: group.clip.duration,
+                    name: group.clip.name,
+                    sourceName: animation.name,  // 重定时按原始片段名称配置
+                    category: group.category
                 }
-                console.log(`    🎥 识别为相机动画: ${animation.name}`)
-            } else {
-                // 这是圆环或其他对象动画
-                this.ringActions[animation.name] = {
-                    action: action,
-                    duration: animation.duration,
-                    name: animation.name
+                
+                // 分类存储动画
+                if (group.category === 'camera') {
+                    this.cameraActions.push({ ...entry, animation: group.clip, camera: group.node })
+                    console.log(`    🎥 识别为相机动画: ${group.clip.name} -> ${group.node.name}`)
+                } else if (group.category === 'ring') {
+                    this.ringActions[group.clip.name] = entry
+                    console.log(`    🔄 识别为圆环动画: ${group.clip.name}`)
+                } else {
+                    this.objectActions[group.clip.name] = entry
+                    console.log(`    📦 识别为对象动画: ${group.clip.name} (${group.category})`)
                 }
-                console.log(`    🔄 识别为圆环动画: ${animation.name}`)
-            }
-            
-            // 存储所有动画action用于统一控制
-            this.masterAnimationActions.push({
-                action: action,
-                duration: animation.duration,
-                name: animation.name
+                
+                // 存储所有动画action用于统一控制
+                this.masterAnimationActions.push({
+                    ...entry,
+                    timing: null  // 由 computeTimings 填充
+                })
             })
         })
         
+        this.cameraAction = this.cameraActions[0] || null
+        
+        this.computeTimings()
+        
+        // 时间轴在加载前附加时，此时才知道真实时长
+        if (this.timeline) {
+            this.timeline.setDuration(Math.max(this.timeline.duration, this.duration))
+        }
+        
         // 预播放所有动画以准备时间控制
         this.masterAnimationActions.forEach(({ action }) => {
             action.play()
         })
         
-        console.log(`✅ 动画系统分析完成: ${Object.keys(this.ringActions).length} 个圆环动画, ${this.cameraAction ? 1 : 0} 个相机动画`)
-        console.log('🎯 所有动画将在7秒内完全同步，圆环最终将呈现竖直排列状态')
+        console.log(`✅ 动画系统分析完成: ${Object.keys(this.ringActions).length} 个圆环动画, ${this.cameraActions.length} 个相机动画, ${Object.keys(this.objectActions).length} 个对象动画`)
+        console.log(`🎯 所有动画将在 ${this.duration.toFixed(2)} 秒内完全同步，圆环最终将呈现竖直排列状态`)
+    }
+    
+    /**
+     * 逐轨迹分类：根据轨迹名称解析出目标节点，再根据节点类型归类
+     * @param {THREE.AnimationClip} animation
+     * @returns {Array<{track, nodeName, property, node, category}>}
+     *   category: 'camera' | 'ring' | 'empty' | 'object' | 'unbound'（场景中找不到目标节点）
+     */
+    classifyTracks(animation) {
+        return animation.tracks.map((track) => {
+            const { nodeName, propertyName } = THREE.PropertyBinding.parseTrackName(track.name)
+            const node = THREE.PropertyBinding.findNode(this.masterModel, nodeName)
+            
+            return {
+                clip: animation.name,
+                track: track.name,
+                nodeName: nodeName,
+                property: propertyName,
+                node: node || null,
+                category: node ? this.classifyNode(node) : 'unbound'
+            }
+        })
+    }
+    
+    classifyNode(node) {
+        // glTF 相机节点本身是相机，或（Blender 导出时）带有一个相机子对象
+        if (node.isCamera || node.children.some((child) => child.isCamera)) {
+            return 'camera'
+        }
+        
+        // 圆环：自身或祖先在圆环注册表中
+        if (this.ringRegistry.getRingForObject(node)) {
+            return 'ring'
+        }
+        
+        let hasMesh = false
+        node.traverse((child) => {
+            if (child.isMesh) hasMesh = true
+        })
+        
+        return hasMesh ? 'object' : 'empty'
+    }
+    
+    /**
+     * 按目标拆分片段：每个相机一个片段，其余轨迹按类别分组
+     * 只有一个分组时保留原片段；子片段保留原时长，保证与其他片段时间对齐
+     * @returns {Array<{clip: THREE.AnimationClip, category: string, node: THREE.Object3D|null}>}
+     */
+    splitClipByTarget(animation) {
+        const breakdown = this.classifyTracks(animation)
+        this.trackBreakdown.push(...breakdown)
+        
+        const groups = new Map()
+        breakdown.forEach((info, index) => {
+            if (info.category === 'unbound') {
+                console.warn(`    ⚠️ 轨迹 ${info.track} 的目标节点不存在，已忽略`)
+                return
+            }
+            
+            const key = info.category === 'camera' ? `camera:${info.node.uuid}` : info.category
+            if (!groups.has(key)) {
+                groups.set(key, { category: info.category, node: info.category === 'camera' ? info.node : null, tracks: [] })
+            }
+            groups.get(key).tracks.push(animation.tracks[index])
+        })
+        
+        if (groups.size === 1) {
+            const [group] = groups.values()
+            if (group.tracks.length === animation.tracks.length) {
+                return [{ clip: animation, category: group.category, node: group.node }]
+            }
+        }
+        
+        return Array.from(groups.values()).map((group) => {
+            const suffix = group.category === 'camera' ? `camera:${group.node.name}` : group.category
+            return {
+                clip: new THREE.AnimationClip(`${animation.name}#${suffix}`, animation.duration, group.tracks),
+                category: group.category,
+                node: group.node
+            }
+        })
+    }
+    
+    /**
+     * 按类别汇总逐轨迹分类结果，便于检查新导出的模型
+     * @returns {Object<string, Array>} category -> 轨迹信息
+     */
+    getTrackBreakdown() {
+        return this.trackBreakdown.reduce((summary, info) => {
+            (summary[info.category] = summary[info.category] || []).push({
+                clip: info.clip,
+                track: info.track,
+                node: info.nodeName,
+                property: info.property
+            })
+            return summary
+        }, {})
+    }
+    
+    /**
+     * 规范化重定时配置
+     * @param {Object} retiming
+     * @param {number} retiming.duration 目标总时长（秒），所有片段按同一比例拉伸/压缩；不设置则使用片段自身长度
+     * @param {Object<string, Object>} retiming.clips 按片段名称的单独设置：
+     *   offset   在主时间轴上的开始时间（秒，拉伸前）
+     *   trimStart / trimEnd  只播放片段的 [trimStart, trimEnd] 区间（秒，片段自身时间）
+     *   speed    播放速度
+     */
+    normalizeRetiming(retiming = {}) {
+        return {
+            duration: null,
+            clips: {},
+            ...retiming
+        }
+    }
+    
+    /**
+     * 运行时修改重定时配置，重新计算总时长并保持当前进度
+     * 附加了时间轴时不移动共享的时间轴（其他子系统也订阅了它），按其当前时间重新应用姿态
+     * @param {Object} retiming 同 normalizeRetiming
+     */
+    setRetiming(retiming) {
+        const progress = this.getProgress()
+        
+        this.retiming = this.normalizeRetiming(retiming)
+        this.computeTimings()
+        
+        if (this.timeline) {
+            // 与加载、附加时相同：只延长，不缩短其他子系统共用的时间轴
+            this.timeline.setDuration(Math.max(this.timeline.duration, this.duration))
+            this.seek(this.timeline.time)
+        } else {
+            this.seek(progress * this.duration)
+        }
+    }
+    
+    /**
+     * 根据片段长度和重定时配置计算每个片段的时间映射和总时长
+     */
+    computeTimings() {
+        let naturalDuration = 0
+        
+        this.masterAnimationActions.forEach((entry) => {
+            const settings = this.retiming.clips[entry.sourceName] || {}
+            
+            const start = THREE.MathUtils.clamp(settings.trimStart || 0, 0, entry.duration)
+            const end = settings.trimEnd !== undefined
+                ? THREE.MathUtils.clamp(settings.trimEnd, start, entry.duration)
+                : entry.duration
+            const speed = settings.speed > 0 ? settings.speed : 1.0
+            const offset = settings.offset || 0
+            
+            entry.timing = { offset, start, end, speed }
+            naturalDuration = Math.max(naturalDuration, offset + (end - start) / speed)
+        })
+        
+        const targetDuration = this.retiming.duration
+        if (targetDuration > 0 && naturalDuration > 0) {
+            this.duration = targetDuration
+            this.timeScale = naturalDuration / targetDuration
+        } else {
+            this.duration = naturalDuration
+            this.timeScale = 1.0
+        }
+        
+        console.log(`⏱️ 主时间轴时长: ${this.duration.toFixed(2)}s (片段原始时长 ${naturalDuration.toFixed(2)}s)`)
+    }
+    
+    /**
+     * 主时间 -> 片段自身时间
+     */
+    getClipTime(timing, time) {
+        const clipTime = timing.start + (time * this.timeScale - timing.offset) * timing.speed
+        return THREE.MathUtils.clamp(clipTime, timing.start, timing.end)
     }
     
     async extractInitialCameraPosition() {
@@ -208,7 +421,14 @@ export class MasterAnimationController {
             return false
         }
         
-        console.log('🎬 启动主文件完整动画序列 (7秒)')
+        console.log(`🎬 启动主文件完整动画序列 (${this.duration.toFixed(2)}秒)`)
+        
+        if (this.timeline) {
+            this.timeline.seek(0)
+            this.timeline.play()
+            return true
+        }
+        
         this.isPlaying = true
         this.masterTime = 0
         
@@ -217,15 +437,34 @@ export class MasterAnimationController {
     
     // 更新动画系统
     update(deltaTime) {
-        if (!this.isPlaying || this.hasCompleted) {
+        if (!this.masterAnimationMixer) {
             return
         }
         
-        if (!this.masterAnimationMixer) {
+        this.advanceTime(deltaTime)
+        
+        // 时间推进后再同步相机，保证与同一帧的圆环/粒子一致
+        this.updateCameraBinding(deltaTime)
+    }
+    
+    advanceTime(deltaTime) {
+        // 滚动模式：页面滚动进度决定时间，可前进也可后退
+        if (this.scrollBinding) {
+            this.updateScrollScrub(deltaTime)
+            return
+        }
+        
+        // 附加了统一时间轴时，时间由时间轴推进（见 attachTimeline）
+        if (this.timeline) {
+            return
+        }
+        
+        if (!this.isPlaying || this.hasCompleted) {
             return
         }
         
         // 更新主时间轴
+        const previousTime = this.masterTime
         this.masterTime += deltaTime
         
         // 确保不超过动画时长
@@ -236,9 +475,180 @@ export class MasterAnimationController {
             console.log('✅ 主文件动画序列播放完成，停在最后一帧')
         }
         
-        // 同步所有动画到当前时间
-        this.masterAnimationActions.forEach(({ action }) => {
-            action.time = this.masterTime
+        this.applyTime(this.masterTime)
+        
+        // 显示进度（每秒输出一次）
+        if (Math.floor(this.masterTime) !== Math.floor(previousTime)) {
+            const progress = ((this.masterTime / this.duration) * 100).toFixed(1)
+            console.log(`🎬 动画进度: ${progress}% (${this.masterTime.toFixed(2)}s / ${this.duration}s)`)
+        }
+    }
+    
+    /**
+     * 将渲染相机绑定到GLB中的相机节点，每帧同步位置、朝向、FOV和近/远裁剪面
+     * @param {Object} options
+     * @param {string} options.nodeName 相机节点名称，默认使用第一个带动画的相机（Blender 导出为 "Camera"）
+     * @param {string} options.aspectMode 画面比例与源相机不同时如何保持构图：
+     *   'vertical'   保持垂直FOV（three.js 默认行为）
+     *   'horizontal' 保持水平FOV（窄屏上两侧内容不被裁掉）
+     *   'fit'        两者取较大视野，保证源相机的完整画面可见
+     * @param {number} options.blendDuration 绑定时从当前相机过渡到动画相机的时长（秒）
+     * @returns {boolean} 是否找到相机节点
+     */
+    bindCamera(options = {}) {
+        const { nodeName = null, aspectMode = 'vertical', blendDuration = 0 } = options
+        
+        const source = this.findSourceCamera(nodeName)
+        if (!source) {
+            console.warn(`⚠️ 未找到可绑定的相机节点${nodeName ? `: ${nodeName}` : ''}`)
+            return false
+        }
+        
+        this.cameraBinding = {
+            source: source,
+            aspectMode: aspectMode,
+            weight: blendDuration > 0 ? 0 : 1,
+            targetWeight: 1,
+            blendDuration: blendDuration,
+            // 解除绑定时过渡回去的自由相机姿态（默认为绑定前的姿态）
+            freePose: this.captureCameraPose(),
+            sourceAspect: source.aspect || 1,
+            sourcePosition: new THREE.Vector3(),
+            sourceQuaternion: new THREE.Quaternion(),
+            sourceScale: new THREE.Vector3()
+        }
+        
+        console.log(`🎥 渲染相机已绑定到 ${source.name || source.parent.name} (fov ${source.fov.toFixed(3)}, near ${source.near}, far ${source.far})`)
+        return true
+    }
+    
+    /**
+     * 解除相机绑定并过渡回自由相机
+     * @param {Object} options
+     * @param {number} options.duration 过渡时长（秒），0 表示立即切换
+     * @param {THREE.Vector3} options.position 自由相机位置，默认为绑定前的位置
+     * @param {THREE.Quaternion} options.quaternion 自由相机朝向，默认为绑定前的朝向
+     * @param {number} options.fov 自由相机FOV，默认为绑定前的FOV
+     */
+    releaseCamera(options = {}) {
+        const binding = this.cameraBinding
+        if (!binding) return
+        
+        const { duration = 1.0, position, quaternion, fov } = options
+        
+        if (position) binding.freePose.position.copy(position)
+        if (quaternion) binding.freePose.quaternion.copy(quaternion)
+        if (fov !== undefined) binding.freePose.fov = fov
+        
+        binding.targetWeight = 0
+        binding.blendDuration = duration
+        console.log('🎥 渲染相机过渡回自由相机')
+        
+        if (duration <= 0) {
+            binding.weight = 0
+            this.updateCameraBinding(0)
+        }
+    }
+    
+    findSourceCamera(nodeName) {
+        if (!this.masterModel) return null
+        
+        const toCamera = (node) => {
+            if (!node) return null
+            if (node.isCamera) return node
+            return node.children.find((child) => child.isCamera) || null
+        }
+        
+        if (nodeName) {
+            return toCamera(this.masterModel.getObjectByName(nodeName))
+        }
+        
+        if (this.cameraAction) {
+            return toCamera(this.cameraAction.camera)
+        }
+        
+        let found = null
+        this.masterModel.traverse((child) => {
+            if (!found && child.isCamera) found = child
+        })
+        return found
+    }
+    
+    captureCameraPose() {
+        return {
+            position: this.camera.position.clone(),
+            quaternion: this.camera.quaternion.clone(),
+            fov: this.camera.fov,
+            near: this.camera.near,
+            far: this.camera.far
+        }
+    }
+    
+    // 每帧将动画相机（与自由相机按权重混合）应用到渲染相机
+    updateCameraBinding(deltaTime) {
+        const binding = this.cameraBinding
+        if (!binding) return
+        
+        if (binding.weight !== binding.targetWeight) {
+            const step = binding.blendDuration > 0 ? deltaTime / binding.blendDuration : 1
+            binding.weight = binding.targetWeight > binding.weight
+                ? Math.min(binding.weight + step, binding.targetWeight)
+                : Math.max(binding.weight - step, binding.targetWeight)
+        }
+        
+        const weight = binding.weight
+        const free = binding.freePose
+        
+        // 源相机位于隐藏的主文件模型中，使用世界矩阵（已在 applyTime 中更新）
+        const source = binding.source
+        source.updateWorldMatrix(true, false)
+        source.matrixWorld.decompose(binding.sourcePosition, binding.sourceQuaternion, binding.sourceScale)
+        
+        const camera = this.camera
+        camera.position.lerpVectors(free.position, binding.sourcePosition, weight)
+        camera.quaternion.slerpQuaternions(free.quaternion, binding.sourceQuaternion, weight)
+        
+        if (camera.isPerspectiveCamera) {
+            const sourceFov = this.getAdjustedFov(source.fov, binding.sourceAspect, camera.aspect, binding.aspectMode)
+            camera.fov = THREE.MathUtils.lerp(free.fov, sourceFov, weight)
+            camera.near = THREE.MathUtils.lerp(free.near, source.near, weight)
+            camera.far = THREE.MathUtils.lerp(free.far, source.far, weight)
+            camera.updateProjectionMatrix()
+        }
+        
+        camera.updateMatrixWorld()
+        
+        // 完全过渡回自由相机后停止接管
+        if (weight === 0 && binding.targetWeight === 0) {
+            this.cameraBinding = null
+            console.log('🎥 相机绑定已解除')
+        }
+    }
+    
+    /**
+     * 将源相机的垂直FOV换算到当前画面比例
+     * @param {number} fov 源相机垂直FOV（度）
+     * @param {number} sourceAspect 源相机画面比例
+     * @param {number} viewAspect 渲染画面比例
+     * @param {string} aspectMode 'vertical' | 'horizontal' | 'fit'
+     */
+    getAdjustedFov(fov, sourceAspect, viewAspect, aspectMode) {
+        const keepHorizontal = aspectMode === 'horizontal' ||
+            (aspectMode === 'fit' && viewAspect < sourceAspect)
+        
+        if (!keepHorizontal) {
+            return fov
+        }
+        
+        const halfHeight = Math.tan(THREE.MathUtils.degToRad(fov) / 2)
+        return THREE.MathUtils.radToDeg(2 * Math.atan(halfHeight * sourceAspect / viewAspect))
+    }
+    
+    // 将所有动画同步到指定时间
+    applyTime(time) {
+        // 按各自的重定时映射同步所有动画
+        this.masterAnimationActions.forEach(({ action, timing }) => {
+            action.time = this.getClipTime(timing, time)
         })
         
         // 应用动画变换（但不推进时间）
@@ -248,12 +658,142 @@ export class MasterAnimationController {
         if (this.masterModel) {
             this.masterModel.updateMatrixWorld(true)
         }
+    }
+    
+    // 跳转到指定时间（秒）
+    seek(time) {
+        if (!this.masterAnimationMixer) return
         
-        // 显示进度（每秒输出一次）
-        if (Math.floor(this.masterTime * 4) !== Math.floor((this.masterTime - deltaTime) * 4)) {
-            const progress = ((this.masterTime / this.duration) * 100).toFixed(1)
-            console.log(`🎬 动画进度: ${progress}% (${this.masterTime.toFixed(2)}s / ${this.duration}s)`)
+        this.masterTime = THREE.MathUtils.clamp(time, 0, this.duration)
+        this.hasCompleted = this.masterTime >= this.duration
+        this.applyTime(this.masterTime)
+    }
+    
+    /**
+     * 订阅统一时间轴，之后由时间轴驱动主文件动画
+     * 时间轴时长会扩展到至少覆盖主文件动画时长
+     * @param {Timeline} timeline
+     */
+    attachTimeline(timeline) {
+        this.detachTimeline()
+        
+        this.timeline = timeline
+        timeline.setDuration(Math.max(timeline.duration, this.duration))
+        this.unsubscribeTimeline = timeline.subscribe((time) => this.seek(time))
+    }
+    
+    detachTimeline() {
+        if (this.unsubscribeTimeline) {
+            this.unsubscribeTimeline()
+            this.unsubscribeTimeline = null
         }
+        this.timeline = null
+    }
+    
+    /**
+     * 绑定页面滚动到主时间轴
+     * @param {Object} options
+     * @param {Window|HTMLElement} options.container 滚动容器，默认 window
+     * @param {number} options.start 开始映射的滚动位置（像素）
+     * @param {number} options.end 映射到动画结尾的滚动位置（像素），默认为最大滚动距离
+     * @param {number} options.smoothing 平滑系数（每1/60秒靠近目标的比例，1 = 不平滑）
+     * @param {number[]} options.snapPoints 吸附点（0-1 进度），滚动停止后吸附到最近的点
+     * @param {number} options.snapDelay 滚动停止多久后开始吸附（秒）
+     */
+    bindToScroll(options = {}) {
+        this.unbindScroll()
+        
+        const binding = {
+            container: window,
+            start: 0,
+            end: null,
+            smoothing: 0.12,
+            snapPoints: [],
+            snapDelay: 0.25,
+            ...options,
+            progress: 0,
+            idleTime: 0,
+            appliedTime: null
+        }
+        
+        binding.onScroll = () => {
+            binding.progress = this.getScrollProgress(binding)
+            binding.idleTime = 0
+        }
+        
+        binding.container.addEventListener('scroll', binding.onScroll, { passive: true })
+        binding.onScroll()
+        
+        this.scrollBinding = binding
+        this.isPlaying = false
+        if (this.timeline) {
+            this.timeline.pause()
+        }
+        console.log('🖱️ 主时间轴已绑定到页面滚动')
+    }
+    
+    unbindScroll() {
+        if (!this.scrollBinding) return
+        
+        this.scrollBinding.container.removeEventListener('scroll', this.scrollBinding.onScroll)
+        this.scrollBinding = null
+        console.log('🖱️ 主时间轴已解除滚动绑定')
+    }
+    
+    getScrollProgress(binding) {
+        const isWindow = binding.container === window
+        const scrollTop = isWindow ? window.scrollY : binding.container.scrollTop
+        const maxScroll = isWindow
+            ? document.documentElement.scrollHeight - window.innerHeight
+            : binding.container.scrollHeight - binding.container.clientHeight
+        
+        const end = binding.end !== null ? binding.end : maxScroll
+        if (end <= binding.start) return 0
+        
+        return THREE.MathUtils.clamp((scrollTop - binding.start) / (end - binding.start), 0, 1)
+    }
+    
+    updateScrollScrub(deltaTime) {
+        const binding = this.scrollBinding
+        binding.idleTime += deltaTime
+        
+        let targetProgress = binding.progress
+        
+        // 滚动停止后吸附到最近的吸附点
+        if (binding.snapPoints.length > 0 && binding.idleTime >= binding.snapDelay) {
+            targetProgress = binding.snapPoints.reduce((nearest, point) =>
+                Math.abs(point - targetProgress) < Math.abs(nearest - targetProgress) ? point : nearest
+            )
+        }
+        
+        const duration = this.timeline ? this.timeline.duration : this.duration
+        const targetTime = targetProgress * duration
+        
+        // 帧率无关的指数平滑
+        // 从时间轴的当前时间开始平滑：时间轴可能比主动画更长，而 masterTime 被限制在 this.duration 内
+        const alpha = 1 - Math.pow(1 - THREE.MathUtils.clamp(binding.smoothing, 0.001, 1), deltaTime * 60)
+        const currentTime = this.timeline ? this.timeline.time : this.masterTime
+        let time = THREE.MathUtils.lerp(currentTime, targetTime, alpha)
+        if (Math.abs(time - targetTime) < 1e-4) {
+            time = targetTime
+        }
+        
+        // 已停在目标时间，无需重复应用
+        if (time === binding.appliedTime) {
+            return
+        }
+        
+        binding.appliedTime = time
+        
+        // 通过时间轴跳转，相机、圆环和粒子一起跟随
+        if (this.timeline) {
+            this.timeline.seek(time)
+            return
+        }
+        
+        this.masterTime = time
+        this.hasCompleted = this.masterTime >= this.duration
+        this.applyTime(this.masterTime)
     }
     
     // 检查动画是否完成
@@ -268,6 +808,7 @@ export class MasterAnimationController {
     
     // 获取动画进度 (0-1)
     getProgress() {
+        if (this.duration <= 0) return 0
         return Math.min(this.masterTime / this.duration, 1.0)
     }
     
@@ -277,14 +818,8 @@ export class MasterAnimationController {
         this.isPlaying = false
         this.hasCompleted = false
         
-        if (this.masterAnimationActions) {
-            this.masterAnimationActions.forEach(({ action }) => {
-                action.time = 0
-            })
-            
-            if (this.masterAnimationMixer) {
-                this.masterAnimationMixer.update(0)
-            }
+        if (this.masterAnimationMixer) {
+            this.applyTime(0)
         }
         
         console.log('🔄 主文件动画系统已重置')
@@ -294,23 +829,15 @@ export class MasterAnimationController {
     getRingObjects() {
         if (!this.masterModel) return {}
         
-        const ringObjects = {}
-        
-        this.masterModel.traverse((child) => {
-            if (child.name.includes('Scenes_B_00100') && !child.name.includes('001')) {
-                ringObjects.mainRing = child
-            } else if (child.name.includes('Scenes_B_0023')) {
-                ringObjects.middleRing = child
-            } else if (child.name.includes('Scenes_B_00100.001') || child.name.includes('00100001')) {
-                ringObjects.smallRing = child
-            }
-        })
-        
-        return ringObjects
+        return this.ringRegistry.bind(this.masterModel).nodes
     }
     
     // 清理资源
     dispose() {
+        this.unbindScroll()
+        this.detachTimeline()
+        this.cameraBinding = null
+        
         if (this.masterAnimationMixer) {
             this.masterAnimationMixer.stopAllAction()
         }
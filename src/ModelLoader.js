@@ -0,0 +1,275 @@
+import * as THREE from 'three'
+import { DRACOLoader } from 'three/examples/jsm/loaders/DRACOLoader.js'
+import { AssetConfig } from './AssetConfig.js'
+
+/**
+ * 文件下载失败（网络错误或 HTTP 错误状态），在发起请求处标记，与解析、解码中的错误区分
+ * response 为 HTTP 错误时的响应（three 的 HttpError），网络错误时为 null
+ */
+class DownloadError extends Error {
+    constructor(url, cause) {
+        super(cause && cause.message ? cause.message : `下载失败: ${url}`)
+        this.name = 'DownloadError'
+        this.url = url
+        this.cause = cause
+        this.response = cause && cause.response ? cause.response : null
+    }
+}
+
+/**
+ * DRACOLoader 默认加载解码器时不报告进度，这里按文件转发字节进度
+ * 解码器下载失败后清除缓存的 Promise，下一次解码（重试）会重新下载
+ *
+ * 注意：覆盖的是 DRACOLoader 的内部方法 _initDecoder / _loadLibrary（LoadingManager 只报告文件数，没有字节进度），
+ * 因此 package.json 中的 three 固定为 0.164.1；升级 three 时需对照新版 DRACOLoader 检查这两个方法
+ */
+class ProgressDRACOLoader extends DRACOLoader {
+    constructor(manager, onFileProgress) {
+        super(manager)
+        this.onFileProgress = onFileProgress
+    }
+
+    _initDecoder() {
+        const pending = super._initDecoder()
+
+        // Also keeps preload() from leaving an unhandled rejection behind
+        pending.catch(() => {
+            if (this.decoderPending === pending) {
+                this.decoderPending = null
+            }
+        })
+        return pending
+    }
+
+    // Same as DRACOLoader._loadLibrary, with a progress callback for each decoder file
+    _loadLibrary(url, responseType) {
+        const loader = new THREE.FileLoader(this.manager)
+        loader.setPath(this.decoderPath)
+        loader.setResponseType(responseType)
+        loader.setWithCredentials(this.withCredentials)
+
+        const fileUrl = this.decoderPath + url
+        return new Promise((resolve, reject) => {
+            loader.load(url, (data) => {
+                this.onFileProgress(fileUrl, null, true)
+                resolve(data)
+            }, (event) => this.onFileProgress(fileUrl, event, false), (error) => reject(new DownloadError(fileUrl, error)))
+        })
+    }
+}
+
+/**
+ * 模型加载器 - GLB 及其解码器（DRACO / Meshopt / KTX2，见 AssetConfig）的加载、进度与重试
+ *
+ * 功能：
+ * 1. 进度：按文件记录已加载/总字节数（GLB 与 DRACO 解码器文件），汇总为百分比
+ * 2. 重试：下载（GLB 或解码器文件）的网络错误、HTTP 408/429/5xx 按指数退避重试；解析错误、404 直接失败
+ * 3. 解码器预加载：与 GLB 并行下载，进度从一开始就包含解码器
+ * 4. 可同时加载多个文件（共用一个 GLTFLoader / DRACOLoader），进度汇总所有文件
+ *
+ * 进度回调参数：
+ *   { url, loaded, total, percent, attempt, files: [{ url, loaded, total, done }] }
+ *   total 仅统计已知大小（Content-Length）的文件和已完成的文件
+ * 解析结果不在这里缓存，共享与去重见 AssetService
+ */
+export class ModelLoader {
+    /**
+     * @param {Object} options
+     * @param {AssetConfig|Object} options.assets 资源配置（模型清单与解码器路径，见 AssetConfig.js）
+     * @param {boolean} options.preloadDecoder 是否与模型并行预加载解码器
+     * @param {number} options.retries 临时错误的最大重试次数
+     * @param {number} options.retryDelay 首次重试前的等待时间（毫秒），之后每次翻倍
+     * @param {function(Object): void} options.onProgress 进度回调
+     * @param {THREE.WebGLRenderer} options.renderer 渲染器，KTX2 纹理需要（也可之后调用 setRenderer）
+     */
+    constructor(options = {}) {
+        this.options = {
+            preloadDecoder: true,
+            retries: 2,
+            retryDelay: 1000,
+            ...options
+        }
+
+        this.assets = AssetConfig.from(this.options.assets)
+        this.onProgress = this.options.onProgress || null // Callback function
+        this.files = new Map()    // url -> { loaded, total, done }
+        this.attempts = new Map() // url -> 当前尝试次数
+
+        this.renderer = null
+        this.ktx2Loader = null
+
+        this.createLoaders()
+
+        if (this.options.renderer) {
+            this.setRenderer(this.options.renderer)
+        }
+    }
+
+    createLoaders() {
+        this.dracoLoader = new ProgressDRACOLoader(undefined, (url, event, done) => this.updateFileProgress(url, event, done))
+        this.loader = this.assets.createGLTFLoader(this.dracoLoader, this.ktx2Loader)
+    }
+
+    /**
+     * 设置渲染器以启用 KTX2 纹理（KHR_texture_basisu）
+     * @param {THREE.WebGLRenderer} renderer
+     */
+    setRenderer(renderer) {
+        if (this.ktx2Loader) {
+            this.ktx2Loader.dispose()
+        }
+
+        this.renderer = renderer
+        this.ktx2Loader = this.assets.createKTX2Loader(renderer)
+        if (this.ktx2Loader) {
+            this.loader.setKTX2Loader(this.ktx2Loader)
+        }
+    }
+
+    /**
+     * 释放 DRACO / KTX2 解码器的 Worker；之后的加载会重新初始化解码器
+     * 只应在没有进行中的加载时调用
+     */
+    disposeDecoders() {
+        this.dracoLoader.dispose()
+        if (this.ktx2Loader) {
+            this.ktx2Loader.dispose()
+            this.ktx2Loader = this.assets.createKTX2Loader(this.renderer)
+        }
+        this.createLoaders()
+    }
+
+    setOnProgress(callback) {
+        this.onProgress = callback
+    }
+
+    /**
+     * 加载 GLB，临时错误自动重试
+     * @param {string} nameOrPath 模型清单中的名称，或文件路径（相对 baseUrl）
+     * @returns {Promise<Object>} GLTFLoader 的结果
+     */
+    async load(nameOrPath) {
+        const url = this.assets.getModelUrl(nameOrPath)
+        const maxAttempts = this.options.retries + 1
+
+        for (let attempt = 1; ; attempt++) {
+            this.attempts.set(url, attempt)
+            this.files.delete(url)
+
+            try {
+                return await this.loadOnce(url)
+            } catch (error) {
+                if (attempt >= maxAttempts || !this.isTransientError(error)) {
+                    throw error
+                }
+
+                const delay = this.options.retryDelay * Math.pow(2, attempt - 1)
+                console.warn(`⚠️ 加载失败，${delay}ms 后重试 (${attempt}/${this.options.retries}): ${url}`, error)
+
+                await new Promise((resolve) => setTimeout(resolve, delay))
+            }
+        }
+    }
+
+    async loadOnce(url) {
+        if (this.options.preloadDecoder && this.loader.dracoLoader) {
+            this.dracoLoader.preload()
+        }
+
+        // 下载与解析分开，只有下载失败会被标记为 DownloadError
+        const data = await this.download(url)
+        const gltf = await this.parse(data, url)
+        this.updateFileProgress(url, null, true)
+        return gltf
+    }
+
+    download(url) {
+        const fileLoader = new THREE.FileLoader(this.loader.manager)
+        fileLoader.setResponseType('arraybuffer')
+        fileLoader.setRequestHeader(this.loader.requestHeader)
+        fileLoader.setWithCredentials(this.loader.withCredentials)
+
+        return new Promise((resolve, reject) => {
+            fileLoader.load(url, resolve,
+                (event) => this.updateFileProgress(url, event, false),
+                (error) => reject(new DownloadError(url, error)))
+        })
+    }
+
+    parse(data, url) {
+        return new Promise((resolve, reject) => {
+            this.loader.parse(data, THREE.LoaderUtils.extractUrlBase(url), resolve, reject)
+        })
+    }
+
+    /**
+     * 只重试下载失败：网络错误和 HTTP 408/429/5xx；解析、解码中的错误（包括 TypeError）直接失败
+     */
+    isTransientError(error) {
+        if (!(error instanceof DownloadError)) {
+            return false
+        }
+
+        const status = error.response ? error.response.status : null
+        if (status !== null) {
+            return status === 408 || status === 429 || status >= 500
+        }
+        return true
+    }
+
+    updateFileProgress(url, event, done) {
+        const file = this.files.get(url) || { loaded: 0, total: 0, done: false }
+
+        if (event) {
+            file.loaded = event.loaded
+            file.total = event.lengthComputable ? event.total : 0
+        }
+        if (done) {
+            file.done = true
+            file.total = Math.max(file.total, file.loaded)
+            file.loaded = file.total
+        }
+
+        this.files.set(url, file)
+
+        if (this.onProgress) {
+            this.onProgress({ url: url, attempt: this.attempts.get(url) || 1, ...this.getProgress() })
+        }
+    }
+
+    /**
+     * 汇总所有文件的进度
+     * @param {function(string): boolean} filter 只统计返回 true 的文件 URL，默认统计全部
+     * @returns {{loaded: number, total: number, percent: number, files: Object[]}}
+     */
+    getProgress(filter = null) {
+        let loaded = 0
+        let total = 0
+        const files = filter
+            ? new Map(Array.from(this.files).filter(([url]) => filter(url)))
+            : this.files
+
+        files.forEach((file) => {
+            // Files without Content-Length only count once they are done
+            if (file.total > 0) {
+                loaded += file.loaded
+                total += file.total
+            }
+        })
+
+        return {
+            loaded: loaded,
+            total: total,
+            percent: total > 0 ? Math.min(loaded / total * 100, 100) : 0,
+            files: Array.from(files, ([url, file]) => ({ url: url, ...file }))
+        }
+    }
+
+    dispose() {
+        this.dracoLoader.dispose()
+        if (this.ktx2Loader) {
+            this.ktx2Loader.dispose()
+            this.ktx2Loader = null
+        }
+    }
+}
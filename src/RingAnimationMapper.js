@@ -1,4 +1,6 @@
 import * as THREE from 'three'
+import { KeyframeSampler } from './KeyframeSampler.js'
+import { RingRegistry } from './RingRegistry.js'
 
 /**
  * 圆环动画映射器 - 将新的动画轨迹映射到现有粒子系统
@@ -8,24 +10,39 @@ import * as THREE from 'three'
  * 2. 将提取的动画轨迹映射到对应圆环
  * 3. 实现实时轨迹替换和切换
  * 4. 保持粒子系统跟随新轨迹运动
+ * 5. 每个圆环独立控制：时间偏移、速度、循环模式（once / loop / pingpong）、权重和暂停
  */
 export class RingAnimationMapper {
-    constructor(scene, model) {
+    /**
+     * @param {THREE.Scene} scene
+     * @param {THREE.Object3D} model
+     * @param {Object} options
+     * @param {RingRegistry} options.ringRegistry 圆环注册表，默认使用 DEFAULT_RING_CONFIG
+     */
+    constructor(scene, model, options = {}) {
         this.scene = scene
         this.model = model
+        this.ringRegistry = options.ringRegistry || new RingRegistry()
         
-        // 圆环对象引用
-        this.ringObjects = {
-            mainRing: null,      // Scenes_B_00100
-            middleRing: null,    // Scenes_B_0023  
-            smallRing: null      // Scenes_B_00100001
-        }
+        // 圆环对象引用（以注册表中的圆环 id 为键）
+        this.ringObjects = {}
+        this.ringRegistry.getRings().forEach((ring) => {
+            this.ringObjects[ring.id] = null
+        })
         
         // 动画状态管理
         this.animationMixer = null
         this.currentActions = new Map()
         this.isUsingCustomTracks = false
         this.customAnimationTime = 0
+        this.isTimeDriven = false // seek() 由外部时间轴驱动时为 true
+        this.timeline = null
+        this.unsubscribeTimeline = null
+        this.animationSpeed = 1.0
+        this.isPaused = false
+        
+        // 每个圆环的播放控制（见 setRingControls），可在应用轨迹之前设置
+        this.ringControls = new Map()
 
         // Animation completion state
         this.isAnimationComplete = false
@@ -35,6 +52,7 @@ export class RingAnimationMapper {
         // 轨迹数据存储
         this.customTracks = new Map()
         this.originalTransforms = new Map()
+        this.tempQuaternion = new THREE.Quaternion() // 权重混合时暂存轨迹旋转
         
         // 初始化时自动识别圆环
         this.identifyRingObjects()
@@ -51,22 +69,11 @@ export class RingAnimationMapper {
             return
         }
 
-        const foundRings = {}
+        // 按圆环注册表匹配，并输出校验报告
+        const foundRings = this.ringRegistry.bind(this.model).nodes
         
-        this.model.traverse((child) => {
-            const name = child.name
-            
-            // 根据名称模式识别圆环
-            if (name.includes('Scenes_B_00100') && !name.includes('001')) {
-                foundRings.mainRing = child
-                console.log(`✅ 找到主环: ${name}`)
-            } else if (name.includes('Scenes_B_0023')) {
-                foundRings.middleRing = child
-                console.log(`✅ 找到中环: ${name}`)
-            } else if (name.includes('Scenes_B_00100001') || name.includes('00100.001')) {
-                foundRings.smallRing = child
-                console.log(`✅ 找到小环: ${name}`)
-            }
+        Object.entries(foundRings).forEach(([ringType, ringObject]) => {
+            console.log(`✅ 找到圆环 ${ringType}: ${ringObject.name}`)
         })
 
         // 更新圆环对象引用
@@ -75,12 +82,25 @@ export class RingAnimationMapper {
         // 保存原始变换状态
         this.saveOriginalTransforms()
         
-        const foundCount = Object.values(foundRings).filter(ring => ring !== null).length
-        console.log(`🎯 圆环识别完成，找到 ${foundCount}/3 个圆环对象`)
+        const foundCount = Object.keys(foundRings).length
+        console.log(`🎯 圆环识别完成，找到 ${foundCount}/${this.ringRegistry.getRings().length} 个圆环对象`)
         
         return foundRings
     }
 
+    /**
+     * 查找重定向目标节点
+     * @param {string|THREE.Object3D|null} targetNode 节点名称或对象
+     */
+    resolveTargetNode(targetNode) {
+        if (!targetNode) return null
+        if (targetNode.isObject3D) return targetNode
+        if (!this.model) return null
+
+        return THREE.PropertyBinding.findNode(this.model, THREE.PropertyBinding.sanitizeNodeName(targetNode)) ||
+            this.model.getObjectByName(targetNode) || null
+    }
+
     /**
      * 保存原始变换状态，用于恢复
      */
@@ -109,7 +129,8 @@ export class RingAnimationMapper {
         let appliedCount = 0
         
         extractedTracks.forEach((trackData, ringType) => {
-            const ringObject = this.ringObjects[ringType]
+            // 重定向后的轨迹指定了目标节点（见 AnimationTrackExtractor.getRetargetedTracks）
+            const ringObject = this.resolveTargetNode(trackData.targetNode) || this.ringObjects[ringType]
             if (!ringObject) {
                 console.warn(`⚠️ 找不到 ${ringType} 对象，跳过轨迹应用`)
                 return
@@ -122,9 +143,13 @@ export class RingAnimationMapper {
 
             // 存储轨迹数据以供实时播放使用
             this.customTracks.set(ringType, {
+                ringType,
                 ringObject,
                 trackData,
-                currentAnimation: 0 // 默认使用第一个动画
+                currentAnimation: 0, // 默认使用第一个动画
+                // 权重 < 1 时与该姿态混合
+                restTransform: this.captureTransform(ringObject),
+                childTargets: new Map() // 动画 -> 子节点轨迹的目标（见 getChildTargets）
             })
             
             appliedCount++
@@ -137,14 +162,7 @@ export class RingAnimationMapper {
 
         // Calculate total animation duration (use the longest animation)
         if (appliedCount > 0) {
-            let maxDuration = 0
-            this.customTracks.forEach((trackInfo) => {
-                if (trackInfo.trackData.animations && trackInfo.trackData.animations.length > 0) {
-                    const duration = trackInfo.trackData.animations[trackInfo.currentAnimation].duration
-                    maxDuration = Math.max(maxDuration, duration)
-                }
-            })
-            this.animationDuration = maxDuration
+            this.updateAnimationDuration()
             console.log(`📏 圆环动画总时长: ${this.animationDuration.toFixed(2)}秒`)
         }
 
@@ -157,16 +175,24 @@ export class RingAnimationMapper {
      * @param {number} deltaTime 时间增量
      */
     updateCustomAnimation(deltaTime) {
-        if (!this.isUsingCustomTracks || this.customTracks.size === 0 || this.isAnimationComplete) {
+        if (!this.isUsingCustomTracks || this.customTracks.size === 0 || this.isTimeDriven || this.isPaused) {
+            return
+        }
+
+        // 循环播放的圆环在整体动画完成后继续运动
+        const hasLoopingRings = this.hasLoopingRings()
+        if (this.isAnimationComplete && !hasLoopingRings) {
             return
         }
 
         // 更新动画时间
-        this.customAnimationTime += deltaTime
+        this.customAnimationTime += deltaTime * this.animationSpeed
 
         // Check if animation is complete
-        if (this.animationDuration > 0 && this.customAnimationTime >= this.animationDuration) {
-            this.customAnimationTime = this.animationDuration
+        if (!this.isAnimationComplete && this.animationDuration > 0 && this.customAnimationTime >= this.animationDuration) {
+            if (!hasLoopingRings) {
+                this.customAnimationTime = this.animationDuration
+            }
             this.isAnimationComplete = true
             console.log('🎬 圆环动画播放完成')
 
@@ -182,139 +208,349 @@ export class RingAnimationMapper {
         })
     }
 
+    /**
+     * 跳转到指定时间（供外部时间轴/滚动驱动使用，可前进也可后退）
+     * @param {number} time 时间（秒）
+     */
+    seek(time) {
+        this.isTimeDriven = true
+
+        if (!this.isUsingCustomTracks || this.customTracks.size === 0) {
+            return
+        }
+
+        // 与 updateCustomAnimation 相同：有循环圆环时不停在整体时长上
+        this.customAnimationTime = this.animationDuration > 0 && !this.hasLoopingRings()
+            ? THREE.MathUtils.clamp(time, 0, this.animationDuration)
+            : Math.max(time, 0)
+        this.isAnimationComplete = this.animationDuration > 0 && time >= this.animationDuration
+
+        this.customTracks.forEach((trackInfo) => {
+            this.applyTrackToRing(trackInfo, this.customAnimationTime)
+        })
+    }
+
+    /**
+     * 订阅统一时间轴，之后由时间轴驱动圆环动画（自身时钟停止推进）
+     * @param {Timeline} timeline
+     */
+    attachTimeline(timeline) {
+        this.detachTimeline()
+        this.timeline = timeline
+        this.unsubscribeTimeline = timeline.subscribe((time) => this.seek(time))
+    }
+
+    /**
+     * 取消订阅时间轴，恢复自身时钟
+     */
+    detachTimeline() {
+        if (this.unsubscribeTimeline) {
+            this.unsubscribeTimeline()
+            this.unsubscribeTimeline = null
+        }
+        this.timeline = null
+        this.isTimeDriven = false
+    }
+
     /**
      * 将轨迹数据应用到具体的圆环对象
      */
     applyTrackToRing(trackInfo, currentTime) {
-        const { ringObject, trackData, currentAnimation } = trackInfo
+        const { ringType, ringObject, trackData, currentAnimation, restTransform } = trackInfo
         
         if (!trackData.animations[currentAnimation]) {
             return
         }
 
         const animation = trackData.animations[currentAnimation]
-        const duration = animation.duration
+        const controls = this.getRingControls(ringType)
 
-        // 使用当前时间，不循环播放
-        const animationTime = Math.min(currentTime, duration)
-        
+        // 按该圆环的偏移、速度和循环模式换算时间
+        const animationTime = this.getRingTime(controls, currentTime, animation.duration)
+
+        this.applyTransformTracks(ringObject, animation.tracks, animationTime, restTransform, controls.weight)
+
+        // 圆环子节点（子网格、枢轴空节点）的轨迹与圆环使用同一时间和权重
+        this.getChildTargets(trackInfo, animation).forEach(({ object, tracks, restTransform: childRest }) => {
+            this.applyTransformTracks(object, tracks, animationTime, childRest, controls.weight)
+        })
+    }
+
+    /**
+     * 将位置/旋转/缩放轨迹应用到对象，权重 < 1 时与 restTransform 混合
+     */
+    applyTransformTracks(object, tracks, animationTime, restTransform, weight) {
         // 应用位置轨迹
-        if (animation.tracks.position) {
-            const position = this.interpolateTrack(animation.tracks.position, animationTime)
+        if (tracks.position) {
+            const position = this.interpolateTrack(tracks.position, animationTime)
             if (position) {
-                ringObject.position.set(position.x, position.y, position.z)
+                object.position.set(position.x, position.y, position.z)
             }
         }
 
         // 应用四元数旋转轨迹
-        if (animation.tracks.quaternion) {
-            const quaternion = this.interpolateQuaternionTrack(animation.tracks.quaternion, animationTime)
+        if (tracks.quaternion) {
+            const quaternion = this.interpolateQuaternionTrack(tracks.quaternion, animationTime)
             if (quaternion) {
-                ringObject.quaternion.set(quaternion.x, quaternion.y, quaternion.z, quaternion.w)
+                object.quaternion.set(quaternion.x, quaternion.y, quaternion.z, quaternion.w)
             }
         }
 
         // 应用欧拉角旋转轨迹（如果没有四元数轨迹）
-        if (!animation.tracks.quaternion && animation.tracks.rotation) {
-            const rotation = this.interpolateTrack(animation.tracks.rotation, animationTime)
+        if (!tracks.quaternion && tracks.rotation) {
+            const rotation = this.interpolateTrack(tracks.rotation, animationTime)
             if (rotation) {
-                ringObject.rotation.set(rotation.x, rotation.y, rotation.z)
+                object.rotation.set(rotation.x, rotation.y, rotation.z)
             }
         }
 
         // 应用缩放轨迹
-        if (animation.tracks.scale) {
-            const scale = this.interpolateTrack(animation.tracks.scale, animationTime)
+        if (tracks.scale) {
+            const scale = this.interpolateTrack(tracks.scale, animationTime)
             if (scale) {
-                ringObject.scale.set(scale.x, scale.y, scale.z)
+                object.scale.set(scale.x, scale.y, scale.z)
             }
         }
+
+        // 权重：与应用轨迹前的姿态混合
+        if (weight < 1) {
+            object.position.lerpVectors(restTransform.position, object.position, weight)
+            // slerpQuaternions 会先把 qa 复制到自身，目标不能是 object.quaternion
+            this.tempQuaternion.copy(object.quaternion)
+            object.quaternion.copy(restTransform.quaternion).slerp(this.tempQuaternion, weight)
+            object.scale.lerpVectors(restTransform.scale, object.scale, weight)
+        }
     }
 
     /**
-     * 插值计算轨迹值（向量类型）
+     * 按目标节点分组的子节点轨迹（首次使用时查找节点并记录其原始姿态）
+     * @returns {Array<{object: THREE.Object3D, tracks: Object, restTransform: Object}>}
      */
-    interpolateTrack(track, time) {
-        if (!track || !track.times || !track.values) {
-            return null
+    getChildTargets(trackInfo, animation) {
+        if (!animation.childTracks || animation.childTracks.length === 0) {
+            return []
         }
 
-        const times = track.times
-        const values = track.values
-        const valueSize = track.valueSize || 3
-        
-        // 找到时间区间
-        let i = 0
-        while (i < times.length - 1 && times[i + 1] <= time) {
-            i++
-        }
-
-        // 边界情况处理
-        if (i >= times.length - 1) {
-            const lastIndex = (times.length - 1) * valueSize
-            return {
-                x: values[lastIndex],
-                y: values[lastIndex + 1], 
-                z: values[lastIndex + 2]
-            }
+        if (!trackInfo.childTargets.has(animation)) {
+            const targets = new Map()
+
+            animation.childTracks.forEach((childTrack) => {
+                // 重定向后的轨迹指定了目标节点，否则在圆环下按原节点名称查找
+                const object = this.resolveTargetNode(childTrack.targetNode) ||
+                    THREE.PropertyBinding.findNode(trackInfo.ringObject, THREE.PropertyBinding.sanitizeNodeName(childTrack.sourceNode)) ||
+                    trackInfo.ringObject.getObjectByName(childTrack.sourceNode)
+                if (!object) {
+                    console.warn(`⚠️ 找不到 ${trackInfo.ringType} 的子节点 ${childTrack.sourceNode}，跳过该轨迹`)
+                    return
+                }
+
+                if (!targets.has(object)) {
+                    targets.set(object, { object, tracks: {}, restTransform: this.findRestTransform(trackInfo, object) })
+                }
+                targets.get(object).tracks[childTrack.property] = childTrack
+            })
+
+            trackInfo.childTargets.set(animation, Array.from(targets.values()))
         }
 
-        // 线性插值
-        const t0 = times[i]
-        const t1 = times[i + 1]
-        const alpha = (time - t0) / (t1 - t0)
+        return trackInfo.childTargets.get(animation)
+    }
 
-        const i0 = i * valueSize
-        const i1 = (i + 1) * valueSize
+    /**
+     * 子节点的原始姿态：同一节点在不同动画之间共用首次记录的姿态
+     */
+    findRestTransform(trackInfo, object) {
+        for (const targets of trackInfo.childTargets.values()) {
+            const target = targets.find((entry) => entry.object === object)
+            if (target) return target.restTransform
+        }
+        return this.captureTransform(object)
+    }
 
+    captureTransform(object) {
         return {
-            x: THREE.MathUtils.lerp(values[i0], values[i1], alpha),
-            y: THREE.MathUtils.lerp(values[i0 + 1], values[i1 + 1], alpha),
-            z: THREE.MathUtils.lerp(values[i0 + 2], values[i1 + 2], alpha)
+            position: object.position.clone(),
+            quaternion: object.quaternion.clone(),
+            scale: object.scale.clone()
         }
     }
 
     /**
-     * 插值计算四元数轨迹值
+     * 获取圆环的播放控制（未设置时为默认值）
+     * @param {string} ringType 圆环类型
      */
-    interpolateQuaternionTrack(track, time) {
-        if (!track || !track.times || !track.values) {
-            return null
+    getRingControls(ringType) {
+        if (!this.ringControls.has(ringType)) {
+            this.ringControls.set(ringType, {
+                offset: 0,         // 开始时间（秒，相对于整体动画时间）
+                speed: 1.0,
+                loopMode: 'once',  // 'once' | 'loop' | 'pingpong'
+                weight: 1.0,       // 0 = 保持原姿态，1 = 完全跟随轨迹
+                paused: false,
+                pausedTime: 0      // 暂停时停留的圆环时间
+            })
         }
+        return this.ringControls.get(ringType)
+    }
 
-        const times = track.times
-        const values = track.values
-        
-        // 找到时间区间
-        let i = 0
-        while (i < times.length - 1 && times[i + 1] <= time) {
-            i++
-        }
-
-        // 边界情况处理
-        if (i >= times.length - 1) {
-            const lastIndex = (times.length - 1) * 4
-            return {
-                x: values[lastIndex],
-                y: values[lastIndex + 1],
-                z: values[lastIndex + 2],
-                w: values[lastIndex + 3]
+    /**
+     * 设置圆环的播放控制，可用于错开三个圆环或在其他圆环运动时保持某个圆环不动
+     * 修改速度或暂停/恢复时保持圆环当前位置连续
+     * @param {string} ringType 圆环类型
+     * @param {Object} controls
+     * @param {number} controls.offset 开始时间（秒）
+     * @param {number} controls.speed 播放速度
+     * @param {string} controls.loopMode 'once' | 'loop' | 'pingpong'
+     * @param {number} controls.weight 权重 0-1
+     * @param {boolean} controls.paused 是否暂停
+     */
+    setRingControls(ringType, controls = {}) {
+        const current = this.getRingControls(ringType)
+        const duration = this.getRingAnimationDuration(ringType)
+        const time = this.customAnimationTime
+
+        if (controls.offset !== undefined) {
+            current.offset = controls.offset
+        }
+
+        if (controls.speed !== undefined && controls.speed !== current.speed && !current.paused) {
+            // 调整偏移，使圆环从当前位置以新速度继续
+            const ringTime = (time - current.offset) * current.speed
+            current.speed = controls.speed
+            if (current.speed !== 0 && ringTime > 0) {
+                current.offset = time - ringTime / current.speed
             }
+        } else if (controls.speed !== undefined) {
+            current.speed = controls.speed
         }
 
-        // 四元数球面线性插值
-        const t0 = times[i]
-        const t1 = times[i + 1]
-        const alpha = (time - t0) / (t1 - t0)
+        if (controls.loopMode !== undefined) {
+            if (!['once', 'loop', 'pingpong'].includes(controls.loopMode)) {
+                console.warn(`⚠️ 未知的循环模式: ${controls.loopMode}`)
+            } else {
+                current.loopMode = controls.loopMode
+            }
+        }
 
-        const i0 = i * 4
-        const i1 = (i + 1) * 4
+        if (controls.weight !== undefined) {
+            current.weight = THREE.MathUtils.clamp(controls.weight, 0, 1)
+        }
+
+        if (controls.paused !== undefined && controls.paused !== current.paused) {
+            if (controls.paused) {
+                current.pausedTime = this.getRingTime(current, time, duration)
+                current.paused = true
+            } else {
+                // 从暂停的位置继续
+                current.paused = false
+                if (current.speed !== 0) {
+                    current.offset = time - current.pausedTime / current.speed
+                }
+            }
+        }
+
+        this.updateAnimationDuration()
+
+        // 立即应用，暂停的圆环在时间轴驱动时也能更新
+        const trackInfo = this.customTracks.get(ringType)
+        if (trackInfo) {
+            this.applyTrackToRing(trackInfo, time)
+        }
+
+        return current
+    }
+
+    pauseRing(ringType) {
+        return this.setRingControls(ringType, { paused: true })
+    }
+
+    resumeRing(ringType) {
+        return this.setRingControls(ringType, { paused: false })
+    }
+
+    /**
+     * 整体动画时间 -> 圆环自身时间
+     */
+    getRingTime(controls, time, duration) {
+        if (controls.paused) {
+            return controls.pausedTime
+        }
+
+        // 开始之前停在第一帧
+        const ringTime = Math.max((time - controls.offset) * controls.speed, 0)
+        if (duration <= 0) {
+            return ringTime
+        }
+
+        switch (controls.loopMode) {
+            case 'loop':
+                return THREE.MathUtils.euclideanModulo(ringTime, duration)
+            case 'pingpong': {
+                const cycle = THREE.MathUtils.euclideanModulo(ringTime, duration * 2)
+                return cycle <= duration ? cycle : duration * 2 - cycle
+            }
+            default:
+                return Math.min(ringTime, duration)
+        }
+    }
+
+    hasLoopingRings() {
+        return Array.from(this.customTracks.keys()).some((ringType) => {
+            const controls = this.getRingControls(ringType)
+            return controls.loopMode !== 'once' && !controls.paused
+        })
+    }
+
+    getRingAnimationDuration(ringType) {
+        const trackInfo = this.customTracks.get(ringType)
+        if (!trackInfo) return 0
+
+        const animation = trackInfo.trackData.animations[trackInfo.currentAnimation]
+        return animation ? animation.duration : 0
+    }
+
+    /**
+     * 整体时长：只播放一次的圆环中最晚结束的时间；全部循环时为 0（不会结束）
+     */
+    updateAnimationDuration() {
+        let maxDuration = 0
+        this.customTracks.forEach((trackInfo, ringType) => {
+            const controls = this.getRingControls(ringType)
+            if (controls.loopMode !== 'once' || controls.paused || controls.speed <= 0) {
+                return
+            }
+
+            const end = controls.offset + this.getRingAnimationDuration(ringType) / controls.speed
+            maxDuration = Math.max(maxDuration, end)
+        })
+        this.animationDuration = maxDuration
+    }
+
+    /**
+     * 插值计算轨迹值（向量类型），按轨迹的插值方式（LINEAR / STEP / CUBICSPLINE）取值
+     */
+    interpolateTrack(track, time) {
+        const value = KeyframeSampler.sample(track, time)
+        if (!value) {
+            return null
+        }
+
+        return {
+            x: value[0],
+            y: value[1],
+            z: value[2]
+        }
+    }
+
+    /**
+     * 插值计算四元数轨迹值
+     */
+    interpolateQuaternionTrack(track, time) {
+        const result = KeyframeSampler.sampleQuaternion(track, time)
+        if (!result) {
+            return null
+        }
 
-        const q0 = new THREE.Quaternion(values[i0], values[i0 + 1], values[i0 + 2], values[i0 + 3])
-        const q1 = new THREE.Quaternion(values[i1], values[i1 + 1], values[i1 + 2], values[i1 + 3])
-        
-        const result = new THREE.Quaternion().slerpQuaternions(q0, q1, alpha)
-        
         return {
             x: result.x,
             y: result.y,
@@ -330,6 +566,18 @@ export class RingAnimationMapper {
         console.log('🔄 恢复原始动画轨迹...')
         
         this.isUsingCustomTracks = false
+
+        // 恢复被轨迹驱动过的圆环子节点
+        this.customTracks.forEach((trackInfo) => {
+            trackInfo.childTargets.forEach((targets) => {
+                targets.forEach(({ object, restTransform }) => {
+                    object.position.copy(restTransform.position)
+                    object.quaternion.copy(restTransform.quaternion)
+                    object.scale.copy(restTransform.scale)
+                })
+            })
+        })
+
         this.customTracks.clear()
         this.customAnimationTime = 0
         
@@ -365,6 +613,7 @@ export class RingAnimationMapper {
         }
 
         trackInfo.currentAnimation = animationIndex
+        this.updateAnimationDuration()
         console.log(`🔄 ${ringType} 切换到动画 ${animationIndex}`)
         return true
     }
@@ -380,6 +629,9 @@ export class RingAnimationMapper {
             identifiedRings: Object.values(this.ringObjects).filter(ring => ring !== null).length,
             ringObjects: Object.fromEntries(
                 Object.entries(this.ringObjects).map(([key, obj]) => [key, !!obj])
+            ),
+            ringControls: Object.fromEntries(
+                Array.from(this.customTracks.keys()).map((ringType) => [ringType, { ...this.getRingControls(ringType) }])
             )
         }
     }
@@ -442,6 +694,7 @@ export class RingAnimationMapper {
      */
     dispose() {
         this.customTracks.clear()
+        this.ringControls.clear()
         this.originalTransforms.clear()
         this.isUsingCustomTracks = false
         
@@ -0,0 +1,291 @@
+import * as THREE from 'three'
+
+/**
+ * 默认圆环配置
+ *
+ * 每个圆环：
+ *   id      圆环标识（与 AnimationTrackExtractor / RingAnimationMapper 使用的 ringType 一致）
+ *   index   粒子着色器中的圆环序号（aRingIndex）
+ *   role    'main' | 'middle' | 'small' | 'accent'
+ *   match   匹配规则，满足任意一条即可：
+ *           names    节点名称完全匹配（按 three.js 规则清理 '.' 等保留字符后比较）
+ *           patterns 正则表达式
+ *           extras   glTF extras（GLTFLoader 放在 userData 中）键值全部相等
+ *   animated 是否播放该圆环的动画；false 时 HeroParticleSystem 创建动作时会过滤掉指向该圆环节点的轨迹
+ *   clips    可选，该圆环播放哪些动画片段（animated 为 true 时生效）：
+ *            片段名称或正则表达式的数组，或 function(clipName) => boolean；未设置时播放所有片段
+ */
+export const DEFAULT_RING_CONFIG = [
+    {
+        id: 'mainRing',
+        index: 0,
+        role: 'main',
+        match: {
+            names: ['Scenes_B_00100'],
+            extras: { ringId: 'mainRing' }
+        },
+        animated: true
+    },
+    {
+        id: 'middleRing',
+        index: 1,
+        role: 'middle',
+        match: {
+            names: ['Scenes_B_0023'],
+            extras: { ringId: 'middleRing' }
+        },
+        animated: false
+    },
+    {
+        id: 'smallRing',
+        index: 2,
+        role: 'small',
+        match: {
+            names: ['Scenes_B_00100.001'],
+            extras: { ringId: 'smallRing' }
+        },
+        animated: false
+    },
+    {
+        id: 'vipRing',
+        index: 3,
+        role: 'accent',
+        match: {
+            patterns: [/vip/, /素白艺术/],
+            extras: { ringId: 'vipRing' }
+        },
+        animated: false
+    }
+]
+
+/**
+ * 圆环注册表 - 统一的圆环识别规则
+ *
+ * 功能：
+ * 1. 按名称 / 正则 / glTF extras 识别圆环节点，替代各模块中的名称子串判断
+ * 2. 查询任意对象所属的圆环（沿祖先查找）
+ * 3. 记录每个圆环是否播放动画、播放哪些片段（供粒子系统的轨迹遮罩使用）
+ * 4. 生成校验报告：未找到的圆环、匹配到多个节点的圆环、同时匹配多个圆环的节点、不属于任何圆环的网格
+ */
+export class RingRegistry {
+    /**
+     * @param {Array<Object>} config 圆环配置，默认为 DEFAULT_RING_CONFIG
+     */
+    constructor(config = DEFAULT_RING_CONFIG) {
+        this.rings = config.map((ring) => ({
+            ...ring,
+            match: {
+                names: (ring.match.names || []).map((name) => THREE.PropertyBinding.sanitizeNodeName(name)),
+                patterns: ring.match.patterns || [],
+                extras: ring.match.extras || null
+            },
+            animated: ring.animated !== false,
+            clips: ring.clips || null
+        }))
+
+        this.bindings = new WeakMap()  // root -> 该场景的绑定结果（见 bind）
+    }
+
+    /**
+     * 判断节点自身匹配的圆环（不查找祖先）
+     * @param {THREE.Object3D|string} object 节点或节点名称（如轨迹中的节点名）
+     * @returns {Object[]} 匹配的圆环配置
+     */
+    matchAll(object) {
+        const name = typeof object === 'string' ? object : object.name
+        const sanitizedName = THREE.PropertyBinding.sanitizeNodeName(name || '')
+        const userData = typeof object === 'string' ? null : object.userData
+
+        return this.rings.filter(({ match }) => {
+            if (match.names.includes(sanitizedName)) return true
+            if (match.patterns.some((pattern) => pattern.test(name) || pattern.test(sanitizedName))) return true
+
+            if (match.extras && userData) {
+                const keys = Object.keys(match.extras)
+                return keys.length > 0 && keys.every((key) => userData[key] === match.extras[key])
+            }
+            return false
+        })
+    }
+
+    match(object) {
+        return this.matchAll(object)[0] || null
+    }
+
+    /**
+     * 查找对象所属的圆环（自身或最近的匹配祖先）
+     * @param {THREE.Object3D} object
+     * @returns {Object|null} 圆环配置
+     */
+    getRingForObject(object) {
+        let node = object
+        while (node) {
+            const ring = this.match(node)
+            if (ring) return ring
+            node = node.parent
+        }
+        return null
+    }
+
+    getRing(id) {
+        return this.rings.find((ring) => ring.id === id) || null
+    }
+
+    getRings() {
+        return this.rings
+    }
+
+    getRingsByRole(...roles) {
+        return this.rings.filter((ring) => roles.includes(ring.role))
+    }
+
+    /**
+     * 在场景中查找所有圆环节点并生成校验报告
+     * 绑定结果按 root 分别保存，多个场景共用同一注册表时互不覆盖
+     * @param {THREE.Object3D} root
+     * @returns {Object} 校验报告（见 validate），nodes 为以 id 为键的主节点
+     */
+    bind(root) {
+        const report = this.validate(root)
+        const nodes = {}
+
+        Object.entries(report.matched).forEach(([id, matched]) => {
+            if (matched.length > 0) {
+                nodes[id] = matched[0]
+            }
+        })
+
+        const binding = { ...report, nodes }
+        this.bindings.set(root, binding)
+        return binding
+    }
+
+    /**
+     * 圆环在指定场景中的主节点（需先 bind 该场景）
+     * @param {THREE.Object3D} root
+     * @param {string} id
+     */
+    getNode(root, id) {
+        return this.getNodes(root)[id] || null
+    }
+
+    /**
+     * 指定场景中以 id 为键的圆环节点对象（需先 bind 该场景）
+     * @param {THREE.Object3D} root
+     * @returns {Object<string, THREE.Object3D>}
+     */
+    getNodes(root) {
+        const binding = this.bindings.get(root)
+        return binding ? { ...binding.nodes } : {}
+    }
+
+    /**
+     * 校验圆环配置与场景是否一致
+     * @param {THREE.Object3D} root
+     * @returns {{matched: Object<string, THREE.Object3D[]>, missing: string[], ambiguous: Object[], conflicts: Object[], unmatchedMeshes: string[]}}
+     */
+    validate(root) {
+        const matched = {}
+        this.rings.forEach((ring) => { matched[ring.id] = [] })
+
+        const conflicts = []
+        const unmatchedMeshes = []
+
+        root.traverse((node) => {
+            const rings = this.matchAll(node)
+
+            if (rings.length > 1) {
+                conflicts.push({ node: node.name, rings: rings.map((ring) => ring.id) })
+            }
+
+            rings.forEach((ring) => {
+                // 只保留最外层的匹配节点（子节点属于同一圆环，不算重复）
+                const nested = matched[ring.id].some((other) => this.isAncestor(other, node))
+                if (!nested) matched[ring.id].push(node)
+            })
+
+            if (node.isMesh && !this.getRingForObject(node)) {
+                unmatchedMeshes.push(node.name)
+            }
+        })
+
+        const missing = this.rings.filter((ring) => matched[ring.id].length === 0).map((ring) => ring.id)
+        const ambiguous = this.rings
+            .filter((ring) => matched[ring.id].length > 1)
+            .map((ring) => ({ ring: ring.id, nodes: matched[ring.id].map((node) => node.name) }))
+
+        console.log(`🔍 圆环注册表校验: ${this.rings.length - missing.length}/${this.rings.length} 个圆环已匹配`)
+        if (missing.length > 0) {
+            console.warn(`⚠️ 未找到的圆环: ${missing.join(', ')}`)
+        }
+        ambiguous.forEach(({ ring, nodes }) => {
+            console.warn(`⚠️ 圆环 ${ring} 匹配到多个节点，使用第一个: ${nodes.join(', ')}`)
+        })
+        conflicts.forEach(({ node, rings }) => {
+            console.warn(`⚠️ 节点 ${node} 同时匹配多个圆环: ${rings.join(', ')}`)
+        })
+        if (unmatchedMeshes.length > 0) {
+            console.log(`  ℹ️ ${unmatchedMeshes.length} 个网格不属于任何圆环`)
+        }
+
+        return { matched, missing, ambiguous, conflicts, unmatchedMeshes }
+    }
+
+    isAncestor(ancestor, node) {
+        let current = node.parent
+        while (current) {
+            if (current === ancestor) return true
+            current = current.parent
+        }
+        return false
+    }
+
+    /**
+     * 设置圆环是否播放动画（HeroParticleSystem 需调用 setTrackMask 重建动作后生效）
+     * @param {string} id 圆环 id
+     * @param {boolean} animated
+     */
+    setRingAnimated(id, animated) {
+        const ring = this.getRing(id)
+        if (!ring) {
+            console.warn(`⚠️ 未知的圆环: ${id}`)
+            return false
+        }
+
+        ring.animated = animated
+        return true
+    }
+
+    /**
+     * 设置圆环播放的动画片段（HeroParticleSystem 需调用 setTrackMask 重建动作后生效）
+     * @param {string} id 圆环 id
+     * @param {Array<string|RegExp>|function(string): boolean|null} clips null 表示播放所有片段
+     */
+    setRingClips(id, clips) {
+        const ring = this.getRing(id)
+        if (!ring) {
+            console.warn(`⚠️ 未知的圆环: ${id}`)
+            return false
+        }
+
+        ring.clips = clips || null
+        return true
+    }
+
+    /**
+     * 圆环是否播放指定的动画片段
+     * @param {string} id 圆环 id
+     * @param {string} clipName 片段名称
+     * @returns {boolean}
+     */
+    isClipEnabled(id, clipName) {
+        const ring = this.getRing(id)
+        if (!ring || !ring.animated) return false
+        if (!ring.clips) return true
+
+        if (typeof ring.clips === 'function') {
+            return !!ring.clips(clipName)
+        }
+        return ring.clips.some((clip) => clip instanceof RegExp ? clip.test(clipName) : clip === clipName)
+    }
+}
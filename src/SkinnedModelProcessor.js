@@ -1,14 +1,29 @@
 import * as THREE from 'three'
 
 export class SkinnedModelProcessor {
-    processSkinnedMesh(skinnedMesh) {
+    /**
+     * @param {THREE.SkinnedMesh} skinnedMesh
+     * @param {Object} options
+     * @param {string} options.sampling 'vertex'（每个顶点一个粒子）或 'surface'（按三角面面积均匀采样）
+     * @param {number} options.particleCount surface 采样时的精确粒子数
+     * @param {number} options.seed 随机种子
+     */
+    processSkinnedMesh(skinnedMesh, { sampling = 'vertex', particleCount: sampleCount = 0, seed = 1 } = {}) {
         const geometry = skinnedMesh.geometry
         const skeleton = skinnedMesh.skeleton
 
         // Extract vertex data
-        const positions = geometry.attributes.position.array
-        const skinIndices = geometry.attributes.skinIndex ? geometry.attributes.skinIndex.array : null
-        const skinWeights = geometry.attributes.skinWeight ? geometry.attributes.skinWeight.array : null
+        let positions = geometry.attributes.position.array
+        let skinIndices = geometry.attributes.skinIndex ? geometry.attributes.skinIndex.array : null
+        let skinWeights = geometry.attributes.skinWeight ? geometry.attributes.skinWeight.array : null
+
+        // Even density over the visible surface instead of following the tessellation
+        if (sampling === 'surface' && sampleCount > 0) {
+            const sample = this.sampleSurface(skinnedMesh, sampleCount, this.createRandom(seed))
+            positions = sample.positions
+            skinIndices = sample.skinIndices
+            skinWeights = sample.skinWeights
+        }
 
         const particleCount = positions.length / 3
 
@@ -28,7 +43,8 @@ export class SkinnedModelProcessor {
             skinWeightTexture = this.createSkinWeightTexture(skinWeights, textureWidth, textureHeight, particleCount)
         }
         
-
+        // Bone matrices texture, refreshed every frame by updateBoneTexture()
+        const boneTexture = this.createBoneTexture(skeleton)
         
         return {
             particleCount,
@@ -37,13 +53,342 @@ export class SkinnedModelProcessor {
             basePositionTexture,
             skinIndexTexture,
             skinWeightTexture,
+            boneTexture,
+            boneCount: skeleton ? skeleton.bones.length : 0,
             skeleton,
             bindMatrix: skinnedMesh.bindMatrix,
             bindMatrixInverse: skinnedMesh.bindMatrixInverse
         }
     }
     
-    createPositionTexture(positions, width, height, particleCount) {
+    // Non-skinned meshes animated through node transforms (AnimationMixer driving groups).
+    // Positions stay in each mesh's local space; the shader applies the mesh's current matrixWorld.
+    processNodeAnimatedMeshes(meshes, options = {}) {
+        const sample = this.sampleMeshes(meshes, options)
+        const { particleCount, positions, meshIndices } = sample
+        
+        const textureWidth = Math.ceil(Math.sqrt(particleCount))
+        const textureHeight = Math.ceil(particleCount / textureWidth)
+        
+        // w = owning mesh index (row in node matrix texture)
+        const basePositionTexture = this.createPositionTexture(positions, textureWidth, textureHeight, particleCount, meshIndices)
+        
+        return {
+            ...sample,
+            textureWidth,
+            textureHeight,
+            basePositionTexture,
+            nodeMatrixTexture: this.createNodeMatrixTexture(meshes)
+        }
+    }
+    
+    // Static multi-mesh particles: sampled positions are baked into world space once
+    processStaticMeshes(meshes, options = {}) {
+        const sample = this.sampleMeshesInWorldSpace(meshes, options)
+        const { particleCount, positions } = sample
+        
+        const textureWidth = Math.ceil(Math.sqrt(particleCount))
+        const textureHeight = Math.ceil(particleCount / textureWidth)
+        
+        return {
+            ...sample,
+            textureWidth,
+            textureHeight,
+            basePositionTexture: this.createPositionTexture(positions, textureWidth, textureHeight, particleCount)
+        }
+    }
+    
+    // Same as sampleMeshes(), with positions transformed by each mesh's current matrixWorld
+    sampleMeshesInWorldSpace(meshes, options = {}) {
+        const sample = this.sampleMeshes(meshes, options)
+        const { particleCount, positions, meshIndices } = sample
+        
+        const vertex = new THREE.Vector3()
+        for (let i = 0; i < particleCount; i++) {
+            vertex.fromArray(positions, i * 3)
+            vertex.applyMatrix4(meshes[meshIndices[i]].matrixWorld)
+            vertex.toArray(positions, i * 3)
+        }
+        
+        return sample
+    }
+    
+    /**
+     * Distribute a global particle budget across several meshes and pick vertices from each.
+     * Mesh matrixWorld must be up to date (used for world-space surface area).
+     * @param {THREE.Mesh[]} meshes
+     * @param {Object} options
+     * @param {number} options.budget 全局粒子预算
+     * @param {Object<string, number>} options.meshBudgets 按网格名称固定粒子数（0 表示排除该网格）
+     * @param {number} options.seed 随机种子，保证每次采样结果一致
+     * @param {string} options.method 'vertex'（随机顶点子集）或 'surface'（按三角面面积采样，粒子数精确等于预算）
+     * @returns {{particleCount: number, positions: Float32Array, meshIndices: Float32Array, meshCounts: number[], meshes: THREE.Mesh[]}}
+     */
+    sampleMeshes(meshes, { budget = Infinity, meshBudgets = {}, seed = 1, method = 'vertex' } = {}) {
+        // Surface sampling can place any number of points on a mesh, vertex sampling is capped by its vertex count
+        const surface = method === 'surface' && Number.isFinite(budget)
+        const meshCounts = this.allocateParticleBudget(meshes, budget, meshBudgets, !surface)
+        const particleCount = meshCounts.reduce((sum, count) => sum + count, 0)
+        
+        const positions = new Float32Array(particleCount * 3)
+        const meshIndices = new Float32Array(particleCount)
+        const random = this.createRandom(seed)
+        
+        let offset = 0
+        meshes.forEach((mesh, meshIndex) => {
+            if (surface) {
+                const sample = this.sampleSurface(mesh, meshCounts[meshIndex], random)
+                positions.set(sample.positions, offset * 3)
+                meshIndices.fill(meshIndex, offset, offset + meshCounts[meshIndex])
+                offset += meshCounts[meshIndex]
+                return
+            }
+            
+            const position = mesh.geometry.attributes.position
+            
+            // Random subset of vertices, so truncation thins the whole mesh evenly instead of cutting it off
+            const vertices = this.pickRandomIndices(position.count, meshCounts[meshIndex], random)
+            
+            vertices.forEach((vertex) => {
+                positions[offset * 3] = position.getX(vertex)
+                positions[offset * 3 + 1] = position.getY(vertex)
+                positions[offset * 3 + 2] = position.getZ(vertex)
+                meshIndices[offset] = meshIndex
+                offset++
+            })
+        })
+        
+        return { particleCount, positions, meshIndices, meshCounts, meshes }
+    }
+    
+    // Split the budget proportionally to world-space surface area (largest remainder method).
+    // Meshes listed in meshBudgets get exactly that many particles, the rest share what is left.
+    allocateParticleBudget(meshes, budget, meshBudgets = {}, capToVertices = true) {
+        const counts = new Array(meshes.length).fill(0)
+        const areas = meshes.map((mesh) => this.computeSurfaceArea(mesh))
+        
+        let remaining = budget
+        const shared = []
+        
+        meshes.forEach((mesh, i) => {
+            if (Object.prototype.hasOwnProperty.call(meshBudgets, mesh.name)) {
+                counts[i] = capToVertices
+                    ? Math.min(meshBudgets[mesh.name], mesh.geometry.attributes.position.count)
+                    : meshBudgets[mesh.name]
+                remaining -= counts[i]
+            } else {
+                shared.push(i)
+            }
+        })
+        
+        remaining = Math.max(remaining, 0)
+        const totalArea = shared.reduce((sum, i) => sum + areas[i], 0)
+        
+        if (shared.length === 0) return counts
+        
+        // Without a finite budget every vertex becomes a particle
+        if (!Number.isFinite(remaining) || totalArea === 0) {
+            shared.forEach((i) => {
+                counts[i] = Number.isFinite(remaining)
+                    ? Math.min(Math.floor(remaining / shared.length), meshes[i].geometry.attributes.position.count)
+                    : meshes[i].geometry.attributes.position.count
+            })
+            return counts
+        }
+        
+        const exact = shared.map((i) => remaining * areas[i] / totalArea)
+        let assigned = 0
+        shared.forEach((i, k) => {
+            counts[i] = Math.floor(exact[k])
+            assigned += counts[i]
+        })
+        
+        // Hand out the rounding leftovers to the largest fractional parts
+        shared
+            .map((i, k) => ({ i, fraction: exact[k] - Math.floor(exact[k]) }))
+            .sort((a, b) => b.fraction - a.fraction)
+            .slice(0, remaining - assigned)
+            .forEach(({ i }) => counts[i]++)
+        
+        // Vertex sampling cannot produce more particles than a mesh has vertices
+        if (capToVertices) {
+            shared.forEach((i) => {
+                counts[i] = Math.min(counts[i], meshes[i].geometry.attributes.position.count)
+            })
+        }
+        
+        return counts
+    }
+    
+    computeSurfaceArea(mesh) {
+        const { cumulativeAreas } = this.computeTriangleAreas(mesh)
+        return cumulativeAreas.length > 0 ? cumulativeAreas[cumulativeAreas.length - 1] : 0
+    }
+    
+    // Cumulative world-space triangle areas, used as the CDF for area-weighted sampling
+    computeTriangleAreas(mesh) {
+        const geometry = mesh.geometry
+        const position = geometry.attributes.position
+        const index = geometry.index
+        const triangleCount = Math.floor(index ? index.count / 3 : position.count / 3)
+        
+        const triangleIndices = new Uint32Array(triangleCount * 3)
+        const cumulativeAreas = new Float64Array(triangleCount)
+        
+        const a = new THREE.Vector3()
+        const b = new THREE.Vector3()
+        const c = new THREE.Vector3()
+        const triangle = new THREE.Triangle(a, b, c)
+        let area = 0
+        
+        for (let t = 0; t < triangleCount; t++) {
+            const i0 = index ? index.getX(t * 3) : t * 3
+            const i1 = index ? index.getX(t * 3 + 1) : t * 3 + 1
+            const i2 = index ? index.getX(t * 3 + 2) : t * 3 + 2
+            
+            a.fromBufferAttribute(position, i0).applyMatrix4(mesh.matrixWorld)
+            b.fromBufferAttribute(position, i1).applyMatrix4(mesh.matrixWorld)
+            c.fromBufferAttribute(position, i2).applyMatrix4(mesh.matrixWorld)
+            area += triangle.getArea()
+            
+            triangleIndices[t * 3] = i0
+            triangleIndices[t * 3 + 1] = i1
+            triangleIndices[t * 3 + 2] = i2
+            cumulativeAreas[t] = area
+        }
+        
+        return { triangleIndices, cumulativeAreas }
+    }
+    
+    /**
+     * Area-weighted random points on the mesh surface (mesh local space).
+     * For skinned meshes the skin indices/weights of the three corners are blended barycentrically.
+     * @returns {{positions: Float32Array, skinIndices: Float32Array|null, skinWeights: Float32Array|null}}
+     */
+    sampleSurface(mesh, count, random) {
+        const geometry = mesh.geometry
+        const position = geometry.attributes.position
+        const skinIndexAttribute = geometry.attributes.skinIndex
+        const skinWeightAttribute = geometry.attributes.skinWeight
+        const skinned = !!(skinIndexAttribute && skinWeightAttribute)
+        
+        const positions = new Float32Array(count * 3)
+        const skinIndices = skinned ? new Float32Array(count * 4) : null
+        const skinWeights = skinned ? new Float32Array(count * 4) : null
+        
+        const { triangleIndices, cumulativeAreas } = this.computeTriangleAreas(mesh)
+        const triangleCount = cumulativeAreas.length
+        if (triangleCount === 0 || count === 0) {
+            return { positions, skinIndices, skinWeights }
+        }
+        
+        const totalArea = cumulativeAreas[triangleCount - 1]
+        const point = new THREE.Vector3()
+        const corner = new THREE.Vector3()
+        const boneWeights = new Map()
+        
+        for (let i = 0; i < count; i++) {
+            const t = this.findTriangle(cumulativeAreas, random() * totalArea)
+            
+            // Uniform barycentric coordinates (fold the unit square onto the triangle)
+            let u = random()
+            let v = random()
+            if (u + v > 1) {
+                u = 1 - u
+                v = 1 - v
+            }
+            const barycentric = [1 - u - v, u, v]
+            
+            point.set(0, 0, 0)
+            for (let k = 0; k < 3; k++) {
+                corner.fromBufferAttribute(position, triangleIndices[t * 3 + k])
+                point.addScaledVector(corner, barycentric[k])
+            }
+            point.toArray(positions, i * 3)
+            
+            if (skinned) {
+                this.interpolateSkinInfluences(
+                    skinIndexAttribute, skinWeightAttribute,
+                    triangleIndices, t, barycentric, boneWeights,
+                    skinIndices, skinWeights, i * 4
+                )
+            }
+        }
+        
+        return { positions, skinIndices, skinWeights }
+    }
+    
+    // Binary search in the cumulative area table
+    findTriangle(cumulativeAreas, target) {
+        let low = 0
+        let high = cumulativeAreas.length - 1
+        
+        while (low < high) {
+            const mid = (low + high) >>> 1
+            if (cumulativeAreas[mid] < target) {
+                low = mid + 1
+            } else {
+                high = mid
+            }
+        }
+        
+        return low
+    }
+    
+    // Blend the corner influences by bone, keep the 4 strongest and renormalize
+    interpolateSkinInfluences(skinIndexAttribute, skinWeightAttribute, triangleIndices, t, barycentric, boneWeights, outIndices, outWeights, offset) {
+        boneWeights.clear()
+        
+        for (let k = 0; k < 3; k++) {
+            const vertex = triangleIndices[t * 3 + k]
+            for (let j = 0; j < 4; j++) {
+                const weight = skinWeightAttribute.getComponent(vertex, j) * barycentric[k]
+                if (weight <= 0) continue
+                
+                const bone = skinIndexAttribute.getComponent(vertex, j)
+                boneWeights.set(bone, (boneWeights.get(bone) || 0) + weight)
+            }
+        }
+        
+        const strongest = Array.from(boneWeights.entries())
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, 4)
+        const total = strongest.reduce((sum, [, weight]) => sum + weight, 0) || 1
+        
+        for (let j = 0; j < 4; j++) {
+            outIndices[offset + j] = strongest[j] ? strongest[j][0] : 0
+            outWeights[offset + j] = strongest[j] ? strongest[j][1] / total : 0
+        }
+    }
+    
+    // Partial Fisher-Yates shuffle: `count` distinct indices out of [0, total)
+    pickRandomIndices(total, count, random) {
+        const indices = new Uint32Array(total)
+        for (let i = 0; i < total; i++) indices[i] = i
+        
+        for (let i = 0; i < count; i++) {
+            const j = i + Math.floor(random() * (total - i))
+            const tmp = indices[i]
+            indices[i] = indices[j]
+            indices[j] = tmp
+        }
+        
+        return indices.subarray(0, count)
+    }
+    
+    // Small seeded PRNG (mulberry32) so particle layouts are reproducible between loads
+    createRandom(seed) {
+        let state = seed >>> 0
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0
+            let t = state
+            t = Math.imul(t ^ (t >>> 15), t | 1)
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+        }
+    }
+    
+    createPositionTexture(positions, width, height, particleCount, wValues = null) {
         
         const data = new Float32Array(width * height * 4)
         
@@ -54,7 +399,7 @@ export class SkinnedModelProcessor {
             data[i4] = positions[i3]         // x
             data[i4 + 1] = positions[i3 + 1] // y  
             data[i4 + 2] = positions[i3 + 2] // z
-            data[i4 + 3] = 1.0               // w
+            data[i4 + 3] = wValues ? wValues[i] : 1.0 // w
         }
         
         // Fill remaining texels with zeros
@@ -133,29 +478,13 @@ export class SkinnedModelProcessor {
     createBoneTexture(skeleton) {
         if (!skeleton) return null
         
-
-        
-        const bones = skeleton.bones
-        const boneCount = bones.length
+        const boneCount = skeleton.bones.length
         
         // Each bone matrix is 4x4, we store it in 4 texels (each texel = vec4)
         const textureWidth = 4
         const textureHeight = boneCount
         const data = new Float32Array(textureWidth * textureHeight * 4)
         
-        // This will be updated each frame with current bone transforms
-        for (let i = 0; i < boneCount; i++) {
-            const bone = bones[i]
-            const matrix = bone.matrixWorld
-            
-            const offset = i * 16 // 4x4 matrix = 16 elements
-            
-            // Copy matrix elements to texture data
-            for (let j = 0; j < 16; j++) {
-                data[offset + j] = matrix.elements[j]
-            }
-        }
-        
         const texture = new THREE.DataTexture(
             data,
             textureWidth,
@@ -163,8 +492,78 @@ export class SkinnedModelProcessor {
             THREE.RGBAFormat,
             THREE.FloatType
         )
-        texture.needsUpdate = true
+        
+        this.updateBoneTexture(texture, skeleton)
         
         return texture
     }
+    
+    // Copy the current skinning matrices (bone.matrixWorld * boneInverse) into the bone texture.
+    // Bone world matrices must be up to date before calling this.
+    updateBoneTexture(boneTexture, skeleton) {
+        if (!boneTexture || !skeleton) return
+        
+        // skeleton.update() is normally called by the renderer when the SkinnedMesh is drawn,
+        // but the mesh itself may be hidden or not in the scene when rendered as particles
+        skeleton.update()
+        
+        boneTexture.image.data.set(skeleton.boneMatrices)
+        boneTexture.needsUpdate = true
+    }
+    
+    /**
+     * Adapt a point layout with a different particle count to exactly `count` points.
+     * Larger layouts are thinned by a random subset, smaller ones reuse random points.
+     * @param {Float32Array} positions xyz triplets
+     * @param {number} count 目标粒子数
+     * @param {number} seed 随机种子
+     * @returns {Float32Array}
+     */
+    fitPositionsToCount(positions, count, seed = 1) {
+        const sourceCount = Math.floor(positions.length / 3)
+        const result = new Float32Array(count * 3)
+        if (sourceCount === 0) return result
+        
+        // Random order spreads both the thinning and the duplicates over the whole shape
+        const random = this.createRandom(seed)
+        const order = this.pickRandomIndices(sourceCount, Math.min(count, sourceCount), random)
+        
+        for (let i = 0; i < count; i++) {
+            const source = i < order.length ? order[i] : Math.floor(random() * sourceCount)
+            result[i * 3] = positions[source * 3]
+            result[i * 3 + 1] = positions[source * 3 + 1]
+            result[i * 3 + 2] = positions[source * 3 + 2]
+        }
+        
+        return result
+    }
+    
+    createNodeMatrixTexture(nodes) {
+        // Same layout as the bone texture: one 4-texel row per node
+        const data = new Float32Array(4 * nodes.length * 4)
+        
+        const texture = new THREE.DataTexture(
+            data,
+            4,
+            nodes.length,
+            THREE.RGBAFormat,
+            THREE.FloatType
+        )
+        
+        this.updateNodeMatrixTexture(texture, nodes)
+        
+        return texture
+    }
+    
+    // Copy each node's current matrixWorld into the node matrix texture.
+    // Node world matrices must be up to date before calling this.
+    updateNodeMatrixTexture(nodeTexture, nodes) {
+        if (!nodeTexture) return
+        
+        const data = nodeTexture.image.data
+        nodes.forEach((node, i) => {
+            data.set(node.matrixWorld.elements, i * 16)
+        })
+        nodeTexture.needsUpdate = true
+    }
 }
\ No newline at end of file
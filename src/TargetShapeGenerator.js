@@ -0,0 +1,181 @@
+import * as THREE from 'three'
+import { SkinnedModelProcessor } from './SkinnedModelProcessor.js'
+
+/**
+ * 目标形状生成器 - 将文字或SVG路径光栅化为粒子目标点
+ *
+ * 功能：
+ * 1. 在离屏Canvas上绘制文字或SVG路径（填充或描边）
+ * 2. 从绘制的像素中采样出与当前粒子数一致的点
+ * 3. 将像素坐标映射到世界空间的平面上（可指定中心、宽度、朝向）
+ * 4. 输出可直接用于 HeroParticleSystem.setMorphTarget 的坐标数组
+ */
+export class TargetShapeGenerator {
+    constructor(options = {}) {
+        this.options = {
+            resolution: 1024,     // Canvas宽度（像素），越大轮廓越精细
+            alphaThreshold: 128,  // 像素被视为“在形状内”的最小透明度
+            seed: 1,
+            ...options
+        }
+
+        this.processor = new SkinnedModelProcessor()
+    }
+
+    /**
+     * 文字形状
+     * @param {string} text 文字内容
+     * @param {Object} options
+     * @param {number} options.count 粒子数量
+     * @param {string} options.font CSS字体（不含字号），如 'bold sans-serif'
+     * @param {string} options.mode 'fill' 或 'outline'
+     * @param {number} options.lineWidth 描边宽度（像素，outline模式）
+     * @returns {Float32Array|null} 世界空间xyz坐标，文字为空时为 null
+     */
+    fromText(text, options = {}) {
+        const { font = 'bold sans-serif', mode = 'fill', lineWidth = 3 } = options
+        const resolution = this.options.resolution
+
+        if (!text || !text.trim()) {
+            console.warn('⚠️ 目标文字为空')
+            return null
+        }
+
+        // Measure at a reference size, then scale the font so the text spans ~90% of the canvas
+        // in whichever direction fills up first (narrow text like "I" is limited by its height)
+        const measureContext = this.createCanvas(1, 1).getContext('2d')
+        measureContext.font = `100px ${font}`
+        const metrics = measureContext.measureText(text)
+        const ascent = metrics.actualBoundingBoxAscent !== undefined ? metrics.actualBoundingBoxAscent : 80
+        const descent = metrics.actualBoundingBoxDescent !== undefined ? metrics.actualBoundingBoxDescent : 20
+        const measuredWidth = Math.max(metrics.width, 1)
+        const measuredHeight = Math.max(ascent + descent, 1)
+        const fontSize = Math.max(Math.floor(100 * resolution * 0.9 / Math.max(measuredWidth, measuredHeight)), 1)
+
+        const width = resolution
+        const height = Math.min(Math.ceil(measuredHeight * fontSize / 100 / 0.9), resolution)
+
+        // Center the glyphs' bounding box rather than the font's em box
+        const baseline = height / 2 + (ascent - descent) / 2 * fontSize / 100
+
+        return this.rasterize(width, height, (context) => {
+            context.font = `${fontSize}px ${font}`
+            context.textAlign = 'center'
+            context.textBaseline = 'alphabetic'
+
+            if (mode === 'outline') {
+                context.lineWidth = lineWidth
+                context.strokeText(text, width / 2, baseline)
+            } else {
+                context.fillText(text, width / 2, baseline)
+            }
+        }, options)
+    }
+
+    /**
+     * SVG路径形状（如品牌Logo）
+     * @param {string} pathData SVG path 的 d 属性
+     * @param {Object} options
+     * @param {number} options.count 粒子数量
+     * @param {number[]} options.viewBox [minX, minY, width, height]，默认取路径的设计尺寸 [0, 0, 100, 100]
+     * @param {string} options.mode 'fill' 或 'outline'
+     * @param {number} options.lineWidth 描边宽度（像素，outline模式）
+     * @returns {Float32Array} 世界空间xyz坐标
+     */
+    fromSVGPath(pathData, options = {}) {
+        const { viewBox = [0, 0, 100, 100], mode = 'fill', lineWidth = 3 } = options
+        const [minX, minY, boxWidth, boxHeight] = viewBox
+
+        const width = this.options.resolution
+        const height = Math.ceil(width * boxHeight / boxWidth)
+        const scale = width / boxWidth
+        const path = new Path2D(pathData)
+
+        return this.rasterize(width, height, (context) => {
+            context.setTransform(scale, 0, 0, scale, -minX * scale, -minY * scale)
+
+            if (mode === 'outline') {
+                context.lineWidth = lineWidth / scale
+                context.stroke(path)
+            } else {
+                context.fill(path)
+            }
+        }, options)
+    }
+
+    /**
+     * 绘制并采样
+     * @param {Object} options
+     * @param {number} options.count 粒子数量
+     * @param {number} options.width 形状在世界空间中的宽度
+     * @param {THREE.Vector3} options.center 形状中心
+     * @param {THREE.Quaternion} options.quaternion 平面朝向（默认面向+Z）
+     * @param {number} options.depth 沿法线方向的随机厚度
+     */
+    rasterize(width, height, draw, options = {}) {
+        const {
+            count = 10000,
+            width: worldWidth = 10,
+            center = new THREE.Vector3(),
+            quaternion = new THREE.Quaternion(),
+            depth = 0.1
+        } = options
+
+        const canvas = this.createCanvas(width, height)
+        const context = canvas.getContext('2d')
+        context.fillStyle = '#ffffff'
+        context.strokeStyle = '#ffffff'
+        draw(context)
+
+        // Collect every covered pixel
+        const pixels = context.getImageData(0, 0, width, height).data
+        const covered = []
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (pixels[(y * width + x) * 4 + 3] >= this.options.alphaThreshold) {
+                    covered.push(x, y)
+                }
+            }
+        }
+
+        const result = new Float32Array(count * 3)
+        const pixelCount = covered.length / 2
+        if (pixelCount === 0) {
+            console.warn('⚠️ 目标形状没有任何可见像素')
+            return result
+        }
+
+        // Distinct pixels while there are enough, random repeats otherwise; jitter inside the pixel
+        const random = this.processor.createRandom(this.options.seed)
+        const order = this.processor.pickRandomIndices(pixelCount, Math.min(count, pixelCount), random)
+        const pixelSize = worldWidth / width
+        const point = new THREE.Vector3()
+
+        for (let i = 0; i < count; i++) {
+            const pixel = i < order.length ? order[i] : Math.floor(random() * pixelCount)
+            const x = covered[pixel * 2] + random()
+            const y = covered[pixel * 2 + 1] + random()
+
+            point.set(
+                (x - width / 2) * pixelSize,
+                (height / 2 - y) * pixelSize,   // Canvas y grows downwards
+                (random() - 0.5) * depth
+            )
+            point.applyQuaternion(quaternion).add(center)
+            point.toArray(result, i * 3)
+        }
+
+        return result
+    }
+
+    createCanvas(width, height) {
+        if (typeof OffscreenCanvas !== 'undefined') {
+            return new OffscreenCanvas(width, height)
+        }
+
+        const canvas = document.createElement('canvas')
+        canvas.width = width
+        canvas.height = height
+        return canvas
+    }
+}
@@ -0,0 +1,138 @@
+import * as THREE from 'three'
+
+/**
+ * 统一时间轴 - 所有动画子系统共享的时钟
+ *
+ * 功能：
+ * 1. 单一时间源：粒子、圆环、相机和主文件动画订阅同一个时间，逐帧锁定
+ * 2. 播放控制：play / pause / seek / setRate（负速率可倒放）
+ * 3. 结尾处理：停在最后一帧（默认）或循环播放
+ *
+ * 订阅者收到 (time, timeline)；子系统通常通过 attachTimeline(timeline) 订阅，
+ * 内部调用各自的 seek(time)。
+ */
+export class Timeline {
+    constructor(options = {}) {
+        this.duration = options.duration || 0
+        this.rate = options.rate !== undefined ? options.rate : 1.0
+        this.loop = options.loop || false
+
+        this.time = 0
+        this.isPlaying = false
+        this.hasCompleted = false
+
+        this.listeners = new Set()
+        this.onComplete = null // Callback function
+    }
+
+    /**
+     * 订阅时间变化，订阅时立即收到当前时间
+     * @param {function(number, Timeline): void} listener
+     * @returns {function(): void} 取消订阅
+     */
+    subscribe(listener) {
+        this.listeners.add(listener)
+        listener(this.time, this)
+        return () => this.listeners.delete(listener)
+    }
+
+    play() {
+        // Restart from the beginning when play is pressed at the end
+        if (this.hasCompleted && !this.loop) {
+            this.seek(this.rate >= 0 ? 0 : this.duration)
+        }
+        this.isPlaying = true
+    }
+
+    pause() {
+        this.isPlaying = false
+    }
+
+    togglePause() {
+        if (this.isPlaying) {
+            this.pause()
+        } else {
+            this.play()
+        }
+        return !this.isPlaying
+    }
+
+    /**
+     * 跳转到指定时间并通知所有订阅者
+     * @param {number} time 时间（秒）
+     */
+    seek(time) {
+        this.time = this.resolveTime(time)
+        this.hasCompleted = !this.loop && this.duration > 0 && this.isAtEnd()
+        this.notify()
+    }
+
+    setRate(rate) {
+        this.rate = rate
+    }
+
+    setDuration(duration) {
+        this.duration = Math.max(duration, 0)
+        this.time = this.resolveTime(this.time)
+    }
+
+    setLoop(loop) {
+        this.loop = loop
+    }
+
+    // 在主循环中每帧调用一次
+    update(deltaTime) {
+        if (!this.isPlaying || this.rate === 0) {
+            return
+        }
+
+        this.time = this.resolveTime(this.time + deltaTime * this.rate)
+
+        if (!this.loop && this.duration > 0 && this.isAtEnd()) {
+            this.isPlaying = false
+            this.hasCompleted = true
+            this.notify()
+
+            if (this.onComplete) {
+                this.onComplete()
+            }
+            return
+        }
+
+        this.notify()
+    }
+
+    getProgress() {
+        return this.duration > 0 ? this.time / this.duration : 0
+    }
+
+    setOnComplete(callback) {
+        this.onComplete = callback
+    }
+
+    isAtEnd() {
+        return this.rate >= 0 ? this.time >= this.duration : this.time <= 0
+    }
+
+    resolveTime(time) {
+        if (this.duration <= 0) {
+            return Math.max(time, 0)
+        }
+
+        if (this.loop) {
+            return THREE.MathUtils.euclideanModulo(time, this.duration)
+        }
+
+        return THREE.MathUtils.clamp(time, 0, this.duration)
+    }
+
+    notify() {
+        this.listeners.forEach((listener) => listener(this.time, this))
+    }
+
+    dispose() {
+        this.listeners.clear()
+        this.onComplete = null
+        this.isPlaying = false
+    }
+}
@@ -0,0 +1,105 @@
+import { particleTransformChunk } from './particles.transform.js'
+
+// GPGPU simulation passes (GPUComputationRenderer).
+// texturePosition / textureVelocity and the resolution define are injected by GPUComputationRenderer.
+
+export const simulationVelocityShader = `
+precision highp float;
+
+${particleTransformChunk}
+
+uniform float uTime;
+uniform float uDeltaTime;
+uniform float uStiffness;
+uniform float uDamping;
+uniform float uCurlStrength;
+uniform float uCurlScale;
+uniform vec3 uMousePosition;
+uniform float uMouseStrength;
+uniform float uMouseRadius;
+uniform float uMouseForce;
+uniform float uSnapToTarget;
+
+// Smooth, slowly evolving vector potential; its curl is a divergence-free flow field
+vec3 flowPotential(vec3 p) {
+    float t = uTime * 0.25;
+    return vec3(
+        sin(p.y * 1.3 + t) + cos(p.z * 1.7 - t * 0.8),
+        sin(p.z * 1.1 + t * 0.9) + cos(p.x * 1.9 + t * 0.6),
+        sin(p.x * 1.5 - t * 0.7) + cos(p.y * 1.2 + t)
+    );
+}
+
+vec3 curlNoise(vec3 p) {
+    const float e = 0.1;
+    vec3 dx = vec3(e, 0.0, 0.0);
+    vec3 dy = vec3(0.0, e, 0.0);
+    vec3 dz = vec3(0.0, 0.0, e);
+
+    vec3 pdx = flowPotential(p + dx) - flowPotential(p - dx);
+    vec3 pdy = flowPotential(p + dy) - flowPotential(p - dy);
+    vec3 pdz = flowPotential(p + dz) - flowPotential(p - dz);
+
+    return vec3(
+        pdy.z - pdz.y,
+        pdz.x - pdx.z,
+        pdx.y - pdy.x
+    ) / (2.0 * e);
+}
+
+void main() {
+    vec2 particleUv = gl_FragCoord.xy / resolution.xy;
+
+    vec3 position = texture2D(texturePosition, particleUv).xyz;
+    vec3 velocity = texture2D(textureVelocity, particleUv).xyz;
+
+    // Spring towards the animated shape
+    vec3 target = getParticleBasePosition(particleUv);
+    vec3 force = (target - position) * uStiffness;
+
+    // Organic drift
+    force += curlNoise(position * uCurlScale) * uCurlStrength;
+
+    // Mouse pushes particles away, the spring pulls them back with inertia
+    if (uMouseStrength > 0.0) {
+        vec3 fromMouse = position - uMousePosition;
+        float mouseDistance = length(fromMouse);
+        float influence = smoothstep(uMouseRadius, 0.0, mouseDistance) * uMouseStrength;
+        force += normalize(fromMouse + vec3(1e-5)) * influence * uMouseForce;
+    }
+
+    velocity += force * uDeltaTime;
+
+    // Frame-rate independent damping (uDamping is the factor per 1/60s)
+    velocity *= pow(uDamping, uDeltaTime * 60.0);
+
+    if (uSnapToTarget > 0.5) {
+        velocity = vec3(0.0);
+    }
+
+    gl_FragColor = vec4(velocity, 1.0);
+}`
+
+export const simulationPositionShader = `
+precision highp float;
+
+${particleTransformChunk}
+
+uniform float uDeltaTime;
+uniform float uSnapToTarget;
+
+void main() {
+    vec2 particleUv = gl_FragCoord.xy / resolution.xy;
+
+    vec3 position = texture2D(texturePosition, particleUv).xyz;
+    vec3 velocity = texture2D(textureVelocity, particleUv).xyz;
+
+    position += velocity * uDeltaTime;
+
+    // Used on the first frame / after a reset so particles start on the animated shape
+    if (uSnapToTarget > 0.5) {
+        position = getParticleBasePosition(particleUv);
+    }
+
+    gl_FragColor = vec4(position, 1.0);
+}`
@@ -0,0 +1,78 @@
+// Shared GLSL for resolving a particle's animated base position from its data textures.
+// Included by the particle vertex shader and the simulation passes; features are switched on with material defines.
+export const particleTransformChunk = `
+uniform sampler2D uBasePositions;
+
+#if defined(USE_SKINNING) || defined(USE_NODE_TRANSFORMS)
+// Matrix textures are 4 texels wide: row i holds matrix i, one column per texel
+mat4 fetchMatrix(sampler2D matrixTexture, const in int row) {
+    vec4 v1 = texelFetch(matrixTexture, ivec2(0, row), 0);
+    vec4 v2 = texelFetch(matrixTexture, ivec2(1, row), 0);
+    vec4 v3 = texelFetch(matrixTexture, ivec2(2, row), 0);
+    vec4 v4 = texelFetch(matrixTexture, ivec2(3, row), 0);
+    return mat4(v1, v2, v3, v4);
+}
+#endif
+
+#ifdef USE_NODE_TRANSFORMS
+// Current matrixWorld of every mesh that contributes particles
+uniform sampler2D uNodeMatrices;
+#endif
+
+#ifdef USE_MORPH_TARGET
+// Alternative layout (another model, text, logo) the particles blend towards
+uniform sampler2D uMorphTargetPositions;
+uniform float uMorphProgress;
+#endif
+
+#ifdef USE_SKINNING
+uniform sampler2D uSkinIndices;
+uniform sampler2D uSkinWeights;
+uniform sampler2D uBoneTexture;
+uniform mat4 uBindMatrix;
+uniform mat4 uBindMatrixInverse;
+uniform mat4 uSkinnedMeshMatrix;
+
+mat4 getBoneMatrix(const in float i) {
+    return fetchMatrix(uBoneTexture, int(i));
+}
+
+vec3 applySkinning(vec3 pos, vec2 particleUv) {
+    vec4 skinIndex = texture2D(uSkinIndices, particleUv);
+    vec4 skinWeight = texture2D(uSkinWeights, particleUv);
+
+    // Same math as three.js skinning_vertex chunk
+    vec4 skinVertex = uBindMatrix * vec4(pos, 1.0);
+    vec4 skinned = vec4(0.0);
+    skinned += getBoneMatrix(skinIndex.x) * skinVertex * skinWeight.x;
+    skinned += getBoneMatrix(skinIndex.y) * skinVertex * skinWeight.y;
+    skinned += getBoneMatrix(skinIndex.z) * skinVertex * skinWeight.z;
+    skinned += getBoneMatrix(skinIndex.w) * skinVertex * skinWeight.w;
+
+    // Back to mesh space, then into world space (the Points object itself has an identity transform)
+    return (uSkinnedMeshMatrix * uBindMatrixInverse * skinned).xyz;
+}
+#endif
+
+vec3 getParticleBasePosition(vec2 particleUv) {
+    vec4 base = texture2D(uBasePositions, particleUv);
+    vec3 pos = base.xyz;
+
+#ifdef USE_NODE_TRANSFORMS
+    // In node mode the w channel stores the index of the owning mesh
+    pos = (fetchMatrix(uNodeMatrices, int(base.w + 0.5)) * vec4(pos, 1.0)).xyz;
+#endif
+
+#ifdef USE_SKINNING
+    pos = applySkinning(pos, particleUv);
+#endif
+
+#ifdef USE_MORPH_TARGET
+    // Morph targets are stored in world space
+    vec3 morphTarget = texture2D(uMorphTargetPositions, particleUv).xyz;
+    pos = mix(pos, morphTarget, uMorphProgress);
+#endif
+
+    return pos;
+}
+`
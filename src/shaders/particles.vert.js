@@ -1,7 +1,15 @@
+import { particleTransformChunk } from './particles.transform.js'
+
 export const particleVertexShader = `
 precision highp float;
 
-uniform sampler2D uBasePositions;
+${particleTransformChunk}
+
+#ifdef USE_SIMULATION
+// Simulated positions from the GPGPU pass (already include spring, curl noise and mouse forces)
+uniform sampler2D uSimPositions;
+#endif
+
 uniform float uPointSize;
 uniform float uTime;
 uniform vec3 uMousePosition;
@@ -16,8 +24,12 @@ varying float vDepth;
 void main() {
     vUv = uv;
     
-    // Sample the base position from the texture
-    vec3 pos = texture2D(uBasePositions, uv).rgb;
+#ifdef USE_SIMULATION
+    vec3 pos = texture2D(uSimPositions, uv).xyz;
+#else
+    // Sample the base position from the texture (skinned by the current bone pose when enabled)
+    vec3 pos = getParticleBasePosition(uv);
+#endif
     
     // Enhanced wave motion effects
     float waveTime = uTime * 0.5;
@@ -37,7 +49,8 @@ void main() {
     animatedPos.y += waveY + radialWave * 0.3;
     animatedPos.z += waveZ + radialWave * 0.4;
     
-    // Magnetic attraction to mouse position
+#ifndef USE_SIMULATION
+    // Magnetic attraction to mouse position (the simulation applies its own mouse force)
     if (uMouseStrength > 0.0) {
         vec3 toMouse = uMousePosition - animatedPos;
         float mouseDistance = length(toMouse);
@@ -51,6 +64,7 @@ void main() {
         vec3 magneticForce = normalize(toMouse) * magneticInfluence * 0.5;
         animatedPos += magneticForce;
     }
+#endif
     
     // Morphing effects
     float morphPhase = waveTime * 0.7 + length(pos.xz) * 0.5;